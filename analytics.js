@@ -0,0 +1,450 @@
+// Analytics module: energy balance estimates (TDEE) and weight forecasts from weight trend and calorie intake,
+// body composition from measurements
+
+// Constants
+const KCAL_PER_KG = 7700; // Approximate energy stored in 1 kg of body weight
+const TDEE_WINDOW_DAYS = 21; // Rolling window for the estimate
+const TDEE_MIN_INTAKE_DAYS = 10; // Minimum logged days in a window
+const TDEE_MIN_WEIGH_INS = 5; // Minimum weigh-ins in a window
+const FORECAST_WINDOW_DAYS = 28; // Recent period used to measure the trend rate
+const FORECAST_MIN_DAYS = 28; // Shortest projection drawn on the chart
+const FORECAST_MAX_DAYS = 120; // Longest projection drawn on the chart
+const FORECAST_CONFIDENCE_Z = 1.28; // ~80% confidence band
+const BODY_WEIGHT_MAX_GAP_DAYS = 3; // Farthest weigh-in used for a measurement's lean/fat mass
+const WAIST_TO_HEIGHT_LIMIT = 0.5; // Waist-to-height ratio above which health risk increases
+
+// Least squares line through points [{ x, y }]
+// Returns slope, intercept, standard error of the residuals and of the slope
+function linearRegression(points) {
+  const n = points.length;
+  if (n < 2) return null;
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+  let num = 0;
+  let den = 0;
+  points.forEach(p => {
+    num += (p.x - meanX) * (p.y - meanY);
+    den += (p.x - meanX) * (p.x - meanX);
+  });
+  if (den === 0) return null;
+
+  const slope = num / den;
+  const intercept = meanY - slope * meanX;
+
+  const sse = points.reduce((sum, p) => sum + Math.pow(p.y - (intercept + slope * p.x), 2), 0);
+  const stdError = n > 2 ? Math.sqrt(sse / (n - 2)) : 0;
+  const slopeStdError = stdError / Math.sqrt(den);
+
+  return { slope, intercept, stdError, slopeStdError };
+}
+
+// Estimate maintenance calories for the window ending at endDate
+// Energy balance: TDEE = average intake - weight change (kg/day) × KCAL_PER_KG
+// Weight change is the slope of a regression line, so single water swings don't dominate
+function estimateTDEE(weights, kbju, endDate, windowDays = TDEE_WINDOW_DAYS) {
+  const startDate = shiftDate(endDate, -(windowDays - 1));
+  const inWindow = (d) => d.date >= startDate && d.date <= endDate;
+
+  const intakeDays = kbju.filter(d => inWindow(d) && d.calories > 0);
+  const weighIns = weights.filter(d => inWindow(d) && d.weight > 0);
+
+  if (intakeDays.length < TDEE_MIN_INTAKE_DAYS || weighIns.length < TDEE_MIN_WEIGH_INS) return null;
+
+  const regression = linearRegression(weighIns.map(d => ({
+    x: getDaysBetween(startDate, d.date),
+    y: d.weight
+  })));
+  if (!regression) return null;
+
+  const avgIntake = intakeDays.reduce((sum, d) => sum + d.calories, 0) / intakeDays.length;
+  const tdee = avgIntake - regression.slope * KCAL_PER_KG;
+
+  return {
+    date: endDate,
+    tdee: Math.round(tdee),
+    avgIntake: Math.round(avgIntake),
+    weightChangePerWeek: parseFloat((regression.slope * 7).toFixed(2)),
+    intakeDays: intakeDays.length,
+    weighIns: weighIns.length
+  };
+}
+
+// Rolling TDEE estimates for every logged day that has a full window of data
+function getTDEEHistory(weights = weightData, kbju = kbjuData, windowDays = TDEE_WINDOW_DAYS) {
+  if (weights.length === 0 || kbju.length === 0) return [];
+
+  const today = new Date().toISOString().split('T')[0];
+  const dates = kbju.map(d => d.date).filter(d => d < today).sort();
+
+  return dates
+    .map(date => estimateTDEE(weights, kbju, date, windowDays))
+    .filter(estimate => estimate !== null);
+}
+
+// Latest TDEE estimate (null if there is not enough data yet)
+// history: result of getTDEEHistory when the caller already has it
+function getCurrentTDEE(history = getTDEEHistory()) {
+  return history.length > 0 ? history[history.length - 1] : null;
+}
+
+// Age in full years on a given date
+function getAgeOnDate(birthDate, dateStr) {
+  if (!birthDate) return null;
+  const birth = new Date(birthDate);
+  const date = dateStr ? new Date(dateStr) : new Date();
+  let age = date.getFullYear() - birth.getFullYear();
+  const m = date.getMonth() - birth.getMonth();
+  if (m < 0 || (m === 0 && date.getDate() < birth.getDate())) age--;
+  return age;
+}
+
+// Formula-based TDEE from profile (Mifflin-St Jeor BMR × activity factor)
+// Used as a reference line next to the data-driven estimate
+function calculateProfileTDEE(weight, dateStr) {
+  const profile = targets.profile;
+  const age = getAgeOnDate(profile.birthDate, dateStr);
+  if (!weight || age === null) return null;
+
+  const height = getHeightOnDate(dateStr);
+  const bmr = 10 * weight + 6.25 * height - 5 * age + (profile.sex === 'female' ? -161 : 5);
+  const level = activityLevels[profile.activityLevel] || activityLevels.moderate;
+
+  return Math.round(bmr * level.factor);
+}
+
+// Rescale the five calorie zone boundaries so that the middle of the
+// maintenance band matches the estimated TDEE (keeps the shape of user's zones)
+function rescaleCalorieZones(zones, tdee) {
+  const center = (zones.slowLoss + zones.maintenance) / 2;
+  if (!center || !tdee) return { ...zones };
+
+  const factor = tdee / center;
+  const round = (value) => Math.round((value * factor) / 50) * 50;
+
+  return {
+    ...zones,
+    unhealthyDeficit: round(zones.unhealthyDeficit),
+    fastLoss: round(zones.fastLoss),
+    healthyLoss: round(zones.healthyLoss),
+    slowLoss: round(zones.slowLoss),
+    maintenance: round(zones.maintenance)
+  };
+}
+
+// Recent weight trend: current trend weight and rate (kg/day) from a regression
+// over the last FORECAST_WINDOW_DAYS of weigh-ins
+function getRecentTrendRate(weights = weightData) {
+  if (weights.length === 0) return null;
+
+  const last = weights[weights.length - 1];
+  const startDate = shiftDate(last.date, -(FORECAST_WINDOW_DAYS - 1));
+  const regression = linearRegression(weights
+    .filter(d => d.date >= startDate)
+    .map(d => ({ x: getDaysBetween(startDate, d.date), y: d.weight })));
+
+  if (!regression) return null;
+
+  return {
+    date: last.date,
+    weight: last.trend || last.weight,
+    ratePerDay: regression.slope,
+    rateStdError: regression.slopeStdError
+  };
+}
+
+// Projection of trend weight past the last weigh-in with a confidence band
+// Returns [{ date, value, lower, upper }] starting at the last weigh-in
+function getWeightForecast(horizonDays) {
+  const recent = getRecentTrendRate();
+  if (!recent) return [];
+
+  const points = [];
+  for (let day = 0; day <= horizonDays; day++) {
+    const value = recent.weight + recent.ratePerDay * day;
+    const spread = FORECAST_CONFIDENCE_Z * recent.rateStdError * day;
+    points.push({
+      date: shiftDate(recent.date, day),
+      value: parseFloat(value.toFixed(2)),
+      lower: parseFloat((value - spread).toFixed(2)),
+      upper: parseFloat((value + spread).toFixed(2))
+    });
+  }
+  return points;
+}
+
+// Goal weight projection: arrival date at the current pace and deficit needed for the deadline
+// tdeeHistory: result of getTDEEHistory when the caller already has it
+function getGoalProjection(tdeeHistory) {
+  const goalWeight = targets.goalWeight;
+  const recent = getRecentTrendRate();
+  if (!goalWeight || !recent) return null;
+
+  const remaining = goalWeight - recent.weight;
+  const projection = {
+    goalWeight,
+    currentWeight: recent.weight,
+    ratePerWeek: recent.ratePerDay * 7,
+    remaining,
+    arrivalDate: null,
+    deadline: targets.goalDate || null,
+    requiredRatePerWeek: null,
+    requiredDailyDeficit: null,
+    requiredIntake: null
+  };
+
+  // Arrival only makes sense if the trend moves towards the goal
+  if (Math.abs(remaining) < 0.1) {
+    projection.arrivalDate = recent.date;
+  } else if (recent.ratePerDay !== 0 && Math.sign(remaining) === Math.sign(recent.ratePerDay)) {
+    projection.arrivalDate = shiftDate(recent.date, Math.ceil(remaining / recent.ratePerDay));
+  }
+
+  if (projection.deadline) {
+    const today = new Date().toISOString().split('T')[0];
+    const daysLeft = getDaysBetween(today, projection.deadline);
+    if (daysLeft > 0) {
+      const requiredRate = remaining / daysLeft;
+      projection.requiredRatePerWeek = requiredRate * 7;
+      projection.requiredDailyDeficit = Math.round(-requiredRate * KCAL_PER_KG);
+
+      const currentTdee = getCurrentTDEE(tdeeHistory);
+      if (currentTdee) projection.requiredIntake = currentTdee.tdee - projection.requiredDailyDeficit;
+    }
+  }
+
+  return projection;
+}
+
+// How many days to project: until the goal or deadline, within chart limits
+function getForecastHorizon(projection) {
+  let days = FORECAST_MIN_DAYS;
+  if (projection && projection.arrivalDate) {
+    days = Math.max(days, getDaysBetween(weightData[weightData.length - 1].date, projection.arrivalDate));
+  }
+  if (projection && projection.deadline) {
+    days = Math.max(days, getDaysBetween(weightData[weightData.length - 1].date, projection.deadline));
+  }
+  return Math.min(days, FORECAST_MAX_DAYS);
+}
+
+// Averages per day of week (Monday..Sunday), zone distribution for weekdays vs. weekends
+// and the Friday–Sunday part of the weekly energy balance for the given KBJU days
+// Balance is measured against the TDEE estimate for each date (current estimate or
+// the middle of the maintenance band if there is not enough data)
+function getWeekdayBreakdown(data, tdeeHistory = getTDEEHistory()) {
+  const days = [0, 1, 2, 3, 4, 5, 6].map(index => ({ index, count: 0, calories: 0, proteins: 0, fats: 0, carbs: 0, macroCount: { proteins: 0, fats: 0, carbs: 0 }, balance: 0 }));
+  const zones = { weekdays: {}, weekends: {} };
+
+  const tdeeByDate = {};
+  tdeeHistory.forEach(d => { tdeeByDate[d.date] = d.tdee; });
+  const currentTdee = getCurrentTDEE(tdeeHistory);
+  const reference = (date) => {
+    if (tdeeByDate[date]) return tdeeByDate[date];
+    if (currentTdee) return currentTdee.tdee;
+    const zonesOnDate = getTargetsForDate(date).calorieZones;
+    return (zonesOnDate.slowLoss + zonesOnDate.maintenance) / 2;
+  };
+
+  data.filter(d => d.calories > 0).forEach(d => {
+    const day = days[getWeekdayIndex(d.date)];
+    day.count++;
+    day.calories += d.calories;
+    day.balance += d.calories - reference(d.date);
+    ['proteins', 'fats', 'carbs'].forEach(macro => {
+      if (d[macro] === null || d[macro] === undefined) return;
+      day[macro] += d[macro];
+      day.macroCount[macro]++;
+    });
+
+    const group = day.index >= 5 ? zones.weekends : zones.weekdays;
+    const category = getCalorieCategory(d.calories, d.date);
+    group[category] = (group[category] || 0) + 1;
+  });
+
+  const averages = days.map(day => ({
+    index: day.index,
+    count: day.count,
+    calories: day.count > 0 ? Math.round(day.calories / day.count) : null,
+    proteins: day.macroCount.proteins > 0 ? parseFloat((day.proteins / day.macroCount.proteins).toFixed(1)) : null,
+    fats: day.macroCount.fats > 0 ? parseFloat((day.fats / day.macroCount.fats).toFixed(1)) : null,
+    carbs: day.macroCount.carbs > 0 ? parseFloat((day.carbs / day.macroCount.carbs).toFixed(1)) : null,
+    balance: day.count > 0 ? Math.round(day.balance / day.count) : null
+  }));
+
+  // A typical week: sum of the average balance of each day of week
+  const withData = averages.filter(d => d.balance !== null);
+  const weeklyBalance = withData.reduce((sum, d) => sum + d.balance, 0);
+  const friSunBalance = withData.filter(d => d.index >= 4).reduce((sum, d) => sum + d.balance, 0);
+
+  // Extra calories on Friday–Sunday compared to an average Monday–Thursday
+  const monThu = averages.filter(d => d.index < 4 && d.calories !== null);
+  const monThuAvg = monThu.length > 0 ? monThu.reduce((sum, d) => sum + d.calories, 0) / monThu.length : null;
+  const friSunExtra = monThuAvg === null
+    ? null
+    : Math.round(averages.filter(d => d.index >= 4 && d.calories !== null).reduce((sum, d) => sum + d.calories - monThuAvg, 0));
+
+  return {
+    days: averages,
+    zones,
+    weeklyBalance: Math.round(weeklyBalance),
+    friSunBalance: Math.round(friSunBalance),
+    friSunShare: weeklyBalance !== 0 && Math.sign(weeklyBalance) === Math.sign(friSunBalance)
+      ? Math.round((friSunBalance / weeklyBalance) * 100)
+      : null,
+    friSunExtra,
+    hasAllDays: withData.length === 7
+  };
+}
+
+// Streak types: which days count towards each streak
+const STREAK_TYPES = {
+  logging: { label: 'Дни с записью питания', icon: '📝', source: 'kbju', qualifies: () => true },
+  protein: { label: 'Норма белка', icon: '🥩', source: 'kbju', qualifies: (d) => d.proteins !== null && d.proteins >= getTargetsForDate(d.date).proteins },
+  healthyLoss: { label: 'Зона здорового похудения', icon: '🥗', source: 'kbju', qualifies: (d) => getCalorieCategory(d.calories, d.date) === 'healthyLoss' },
+  weighIn: { label: 'Взвешивания подряд', icon: '⚖️', source: 'weight', qualifies: () => true }
+};
+const STREAK_BADGE_THRESHOLDS = [3, 7, 14, 30, 60, 100]; // Days in a row needed for each badge
+
+// Current and longest run of consecutive calendar days among sorted qualifying dates
+// The current run may end today or yesterday (today is usually not logged yet)
+function getStreakFromDates(dates, today) {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  dates.forEach(date => {
+    run = previous && getDaysBetween(previous, date) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  });
+
+  const isOngoing = previous !== null && getDaysBetween(previous, today) <= 1;
+  return {
+    current: isOngoing ? run : 0,
+    longest,
+    lastDate: previous
+  };
+}
+
+// Streaks for every STREAK_TYPES entry: { [type]: { current, longest, lastDate, badges } }
+// badges: thresholds from STREAK_BADGE_THRESHOLDS reached by the longest streak
+function computeStreaks(kbju = kbjuData, weights = weightData) {
+  const today = new Date().toISOString().split('T')[0];
+  const result = {};
+
+  Object.entries(STREAK_TYPES).forEach(([type, config]) => {
+    const items = config.source === 'weight' ? weights : kbju;
+    const dates = [...new Set(items.filter(config.qualifies).map(d => d.date))].sort();
+    const streak = getStreakFromDates(dates, today);
+    result[type] = {
+      ...streak,
+      badges: STREAK_BADGE_THRESHOLDS.filter(threshold => streak.longest >= threshold)
+    };
+  });
+
+  return result;
+}
+
+// Summary of a nutrition range for period comparison: averages and success rates of daily values
+function summarizeNutritionPeriod(data) {
+  const days = data.filter(d => d.calories !== null && d.calories !== undefined);
+  const average = (key) => {
+    const values = days.map(d => d[key]).filter(v => v !== null && v !== undefined);
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+  };
+  const successRate = (macro) => {
+    const stats = getMacroStats(days, macro);
+    return stats.total > 0 ? stats.successRate : null;
+  };
+  const lossDays = days.filter(d => ['fastLoss', 'healthyLoss', 'slowLoss'].includes(d.category)).length;
+
+  return {
+    days: days.length,
+    calories: average('calories'),
+    proteins: average('proteins'),
+    fats: average('fats'),
+    carbs: average('carbs'),
+    proteinsSuccess: successRate('proteins'),
+    fatsSuccess: successRate('fats'),
+    carbsSuccess: successRate('carbs'),
+    lossShare: days.length > 0 ? Math.round((lossDays / days.length) * 100) : null
+  };
+}
+
+// Summary of a weight range for period comparison: average, change of the trend weight and weekly pace
+function summarizeWeightPeriod(data) {
+  const weighIns = data.filter(d => d.weight > 0);
+  if (weighIns.length === 0) {
+    return { weighIns: 0, avgWeight: null, change: null, ratePerWeek: null };
+  }
+
+  const first = weighIns[0];
+  const last = weighIns[weighIns.length - 1];
+  const change = (last.trend || last.weight) - (first.trend || first.weight);
+  const days = getDaysBetween(first.date, last.date);
+
+  return {
+    weighIns: weighIns.length,
+    avgWeight: weighIns.reduce((sum, d) => sum + d.weight, 0) / weighIns.length,
+    change,
+    ratePerWeek: days > 0 ? (change / days) * 7 : null
+  };
+}
+
+// U.S. Navy body fat % from circumferences and height in cm (hips are needed for women)
+function calculateNavyBodyFat(sex, heightCm, waist, neck, hips = null) {
+  if (!heightCm || !waist || !neck) return null;
+
+  let density;
+  if (sex === 'female') {
+    if (!hips || waist + hips - neck <= 0) return null;
+    density = 1.29579 - 0.35004 * Math.log10(waist + hips - neck) + 0.22100 * Math.log10(heightCm);
+  } else {
+    if (waist - neck <= 0) return null;
+    density = 1.0324 - 0.19077 * Math.log10(waist - neck) + 0.15456 * Math.log10(heightCm);
+  }
+
+  const bodyFat = 495 / density - 450;
+  return bodyFat > 0 && bodyFat < 75 ? bodyFat : null;
+}
+
+// Trend weight of the weigh-in closest to a date (null if none within BODY_WEIGHT_MAX_GAP_DAYS)
+function getWeightNearDate(dateStr, weights = weightData) {
+  let best = null;
+  let bestGap = Infinity;
+  weights.forEach(d => {
+    const gap = Math.abs(getDaysBetween(d.date, dateStr));
+    if (gap < bestGap) {
+      best = d;
+      bestGap = gap;
+    }
+  });
+  if (!best || bestGap > BODY_WEIGHT_MAX_GAP_DAYS) return null;
+  return best.trend || best.weight;
+}
+
+// Derived metrics for every measurement: Navy body fat %, lean/fat mass and waist-to-height ratio
+// Lean/fat mass use the measured body fat % and fall back to the Navy estimate
+function getBodyComposition(measurements = bodyData, weights = weightData) {
+  const sex = targets.profile.sex;
+
+  return measurements.map(m => {
+    const height = getHeightOnDate(m.date);
+    const navyBodyFat = calculateNavyBodyFat(sex, height, m.waist, m.neck, m.hips);
+    const bodyFat = m.bodyFat !== null ? m.bodyFat : navyBodyFat;
+    const weight = getWeightNearDate(m.date, weights);
+    const fatMass = weight !== null && bodyFat !== null ? weight * bodyFat / 100 : null;
+
+    return {
+      ...m,
+      weight,
+      navyBodyFat,
+      bodyFatSource: m.bodyFat !== null ? 'measured' : (navyBodyFat !== null ? 'navy' : null),
+      fatMass,
+      leanMass: fatMass !== null ? weight - fatMass : null,
+      waistToHeight: m.waist !== null ? m.waist / height : null
+    };
+  });
+}
@@ -13,11 +13,37 @@ let charts = {
     fatsDist: null,
     carbsDist: null,
     proteinsGauge: null,
-    fatsGauge: null
+    fatsGauge: null,
+    extraNutrients: [], // Thermometer and gauge charts of targets.extraNutrients
+    tdee: null,
+    bodyComposition: null,
+    waistToHeight: null,
+    bodyFat: null,
+    measurements: null,
+    weekday: null,
+    heatmap: null
 };
 
-// View status for nutrition section (daily or weekly)
-let nutritionView = 'daily';
+// Data quality issues found by validateData (ignored ones excluded)
+let dataIssues = [];
+
+// TDEE estimates of the loaded data (see getTDEEHistory), computed once per render for all panels
+let tdeeHistory = [];
+
+// Aggregation bucket of each section (key of AGGREGATION_PERIODS)
+let nutritionView = 'day';
+let metricsView = 'week';
+
+// Comparison mode per section: second date range { start, end } or null when off
+let comparisonRanges = { nutrition: null, metrics: null };
+let comparisonPickers = { nutrition: null, metrics: null };
+
+// Calendar heatmap state: layer, 'year' | 'month', last shown date (null = latest data)
+let heatmapState = {
+    layer: 'zone',
+    mode: 'year',
+    anchor: null
+};
 
 
 // DOM Elements
@@ -25,6 +51,17 @@ const loadingOverlay = document.getElementById('loadingOverlay');
 const errorMessage = document.getElementById('errorMessage');
 const errorText = document.getElementById('errorText');
 const settingsModal = document.getElementById('settingsModal');
+const foodDiaryModal = document.getElementById('foodDiaryModal');
+const quickAddModal = document.getElementById('quickAddModal');
+let quickAddEdit = null; // Day opened from the chart point menu: { date, hasDiary } (null = plain add)
+
+// Meal names for the food diary
+const mealLabels = {
+    breakfast: '🍳 Завтрак',
+    lunch: '🍲 Обед',
+    dinner: '🍽️ Ужин',
+    snack: '🍎 Перекус'
+};
 
 // Show/hide loading
 function showLoading(show) {
@@ -42,6 +79,44 @@ function hideError() {
     errorMessage.style.display = 'none';
 }
 
+// Fill the header profile switcher; hidden while there is only one profile
+function renderProfileSwitcher() {
+    const select = document.getElementById('profileSelect');
+    if (!select) return;
+
+    const state = getProfileState();
+    select.innerHTML = state.list
+        .map(p => `<option value="${p.id}">${escapeHtml(p.name || 'Без имени')}</option>`)
+        .join('');
+    select.value = getActiveProfile().id;
+    select.style.display = state.list.length > 1 ? '' : 'none';
+}
+
+// Activate a profile; reloading the page rebuilds every section from its sheet and settings
+function handleProfileSwitch(id) {
+    switchProfile(id);
+    location.reload();
+}
+
+// Create a profile from settings and switch to it
+function handleAddProfile() {
+    const profile = addProfile(`Профиль ${getProfileState().list.length + 1}`);
+    handleProfileSwitch(profile.id);
+}
+
+// Delete the active profile after confirmation and switch to the remaining first one
+async function handleDeleteProfile() {
+    const profile = getActiveProfile();
+    if (getProfileState().list.length <= 1) {
+        showToast('Нельзя удалить единственный профиль', 'error');
+        return;
+    }
+    if (!confirm(`Удалить профиль «${profile.name}», его настройки и офлайн-копию данных в этом браузере? Данные в таблице не изменятся.`)) return;
+
+    await removeProfile(profile.id);
+    location.reload();
+}
+
 // Open settings panel
 function openSettingsPanel() {
     populateSettingsForm();
@@ -53,10 +128,282 @@ function closeSettingsPanel() {
     settingsModal.classList.remove('active');
 }
 
+// Render height history rows in settings
+function renderHeightHistory(heights) {
+    const list = document.getElementById('heightHistoryList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const entries = heights.length > 0 ? heights : [{ from: '', heightCm: DEFAULT_HEIGHT_CM }];
+    entries.forEach(entry => addHeightHistoryRow(entry.from, entry.heightCm));
+}
+
+// Append one editable height row ("from" date + height)
+function addHeightHistoryRow(from = '', heightCm = '') {
+    const list = document.getElementById('heightHistoryList');
+    const row = document.createElement('div');
+    row.className = 'settings-list-row';
+    row.innerHTML = `
+        <span>с</span>
+        <input type="date" class="settings-input medium" data-field="from" value="${from || ''}">
+        <input type="number" class="settings-input small" data-field="heightCm" value="${heightCm}" min="50" max="250" step="0.5" placeholder="см">
+        <button class="entry-remove-btn" title="Удалить">×</button>
+    `;
+    row.querySelector('.entry-remove-btn').onclick = (e) => {
+        e.preventDefault();
+        row.remove();
+    };
+    list.appendChild(row);
+}
+
+// Collect height history from settings form (sorted by date)
+function readHeightHistory() {
+    const rows = document.querySelectorAll('#heightHistoryList .settings-list-row');
+    return Array.from(rows)
+        .map(row => ({
+            from: row.querySelector('[data-field="from"]').value,
+            heightCm: parseFloat(row.querySelector('[data-field="heightCm"]').value)
+        }))
+        .filter(entry => !isNaN(entry.heightCm) && entry.heightCm > 0)
+        .sort((a, b) => (a.from || '').localeCompare(b.from || ''));
+}
+
+// Weekday names for the target schedule (Monday first)
+const weekdayLabels = ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'];
+
+// Number inputs for one schedule entry, one per SCHEDULE_TARGET_KEYS (empty = inherit)
+function scheduleInputs(entry) {
+    return SCHEDULE_TARGET_KEYS.map(key => {
+        const value = entry && entry[key] !== null && entry[key] !== undefined ? entry[key] : '';
+        const attrs = key === 'calorieOffset' ? 'step="50" placeholder="± ккал"' : 'min="0" placeholder="г"';
+        return `<input type="number" class="settings-input small" data-field="${key}" value="${value}" ${attrs}>`;
+    });
+}
+
+// Read schedule fields from a container; null if every field is empty
+function readScheduleInputs(container) {
+    const entry = {};
+    SCHEDULE_TARGET_KEYS.forEach(key => {
+        const value = parseFloat(container.querySelector(`[data-field="${key}"]`).value);
+        if (!isNaN(value)) entry[key] = value;
+    });
+    return Object.keys(entry).length > 0 ? entry : null;
+}
+
+// Render weekday target rows in settings
+function renderScheduleWeekdays(weekdays) {
+    const body = document.getElementById('scheduleWeekdays');
+    body.innerHTML = weekdayLabels.map((label, i) => `
+        <tr data-weekday="${i}">
+            <td>${label}</td>
+            ${scheduleInputs(weekdays[i]).map(input => `<td>${input}</td>`).join('')}
+        </tr>
+    `).join('');
+}
+
+// Append one editable date-range override row
+function addScheduleOverrideRow(entry = {}) {
+    const list = document.getElementById('scheduleOverridesList');
+    const row = document.createElement('div');
+    row.className = 'settings-list-row schedule-override';
+    row.innerHTML = `
+        <input type="text" class="settings-input medium" data-field="name" value="${escapeHtml(entry.name || '')}" placeholder="Название">
+        <input type="date" class="settings-input medium" data-field="from" value="${entry.from || ''}">
+        <span>—</span>
+        <input type="date" class="settings-input medium" data-field="to" value="${entry.to || ''}">
+        ${scheduleInputs(entry).join('')}
+        <button class="entry-remove-btn" title="Удалить">×</button>
+    `;
+    row.querySelector('.entry-remove-btn').onclick = (e) => {
+        e.preventDefault();
+        row.remove();
+    };
+    list.appendChild(row);
+}
+
+// Collect target schedule from settings form
+function readTargetSchedule() {
+    const weekdays = Array.from(document.querySelectorAll('#scheduleWeekdays tr'))
+        .map(row => readScheduleInputs(row));
+
+    const overrides = Array.from(document.querySelectorAll('#scheduleOverridesList .schedule-override'))
+        .map(row => {
+            const values = readScheduleInputs(row);
+            return {
+                name: row.querySelector('[data-field="name"]').value.trim(),
+                from: row.querySelector('[data-field="from"]').value,
+                to: row.querySelector('[data-field="to"]').value,
+                ...(values || {})
+            };
+        })
+        .filter(entry => (entry.from || entry.to) && SCHEDULE_TARGET_KEYS.some(key => entry[key] !== undefined))
+        .sort((a, b) => (a.from || '').localeCompare(b.from || ''));
+
+    return { weekdays, overrides };
+}
+
+// Append one editable extra nutrient row (key, label, unit, direction, min, max)
+function addExtraNutrientRow(entry = {}) {
+    const list = document.getElementById('extraNutrientsList');
+    const row = document.createElement('div');
+    row.className = 'settings-list-row extra-nutrient';
+    const directionOptions = Object.entries(NUTRIENT_DIRECTIONS)
+        .map(([key, label]) => `<option value="${key}" ${key === entry.direction ? 'selected' : ''}>${label}</option>`)
+        .join('');
+    const numberValue = (value) => value !== null && value !== undefined ? value : '';
+    row.innerHTML = `
+        <input type="text" class="settings-input small" data-field="key" value="${escapeHtml(entry.key || '')}" placeholder="ключ">
+        <input type="text" class="settings-input medium" data-field="label" value="${escapeHtml(entry.label || '')}" placeholder="Название">
+        <input type="text" class="settings-input small" data-field="unit" value="${escapeHtml(entry.unit || 'г')}" placeholder="ед.">
+        <select class="settings-input medium" data-field="direction">${directionOptions}</select>
+        <input type="number" class="settings-input small" data-field="min" value="${numberValue(entry.min)}" min="0" placeholder="от">
+        <span>—</span>
+        <input type="number" class="settings-input small" data-field="max" value="${numberValue(entry.max)}" min="0" placeholder="до">
+        <button class="entry-remove-btn" title="Удалить">×</button>
+    `;
+    row.querySelector('.entry-remove-btn').onclick = (e) => {
+        e.preventDefault();
+        row.remove();
+    };
+    list.appendChild(row);
+}
+
+// Collect extra nutrients from settings form; rows without a valid key or the needed bound are dropped
+function readExtraNutrients() {
+    const seen = new Set();
+    return Array.from(document.querySelectorAll('#extraNutrientsList .extra-nutrient'))
+        .map(row => {
+            const field = (name) => row.querySelector(`[data-field="${name}"]`).value.trim();
+            const key = field('key').toLowerCase().replace(/[^a-z0-9_]/g, '');
+            const min = parseFloat(field('min'));
+            const max = parseFloat(field('max'));
+            return {
+                key,
+                label: field('label') || key,
+                unit: field('unit'),
+                direction: field('direction'),
+                min: isNaN(min) ? null : min,
+                max: isNaN(max) ? null : max
+            };
+        })
+        .filter(entry => {
+            if (!entry.key || KBJU_BASE_KEYS.includes(entry.key) || seen.has(entry.key)) return false;
+            seen.add(entry.key);
+            if (entry.direction === 'min') return entry.min !== null;
+            if (entry.direction === 'max') return entry.max !== null;
+            return entry.min !== null && entry.max !== null && entry.min <= entry.max;
+        });
+}
+
+// Escape user-provided text before inserting it into HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Open food diary for a day (drill-down from the calorie chart)
+function openFoodDiary(dateStr) {
+    const entries = getFoodLogForDate(dateStr);
+    const dayTotals = kbjuData.find(d => d.date === dateStr);
+
+    document.getElementById('foodDiaryTitle').textContent = `🍽️ Дневник питания — ${formatDisplayDate(dateStr)}`;
+    const body = document.getElementById('foodDiaryBody');
+
+    const formatValue = (val) => val === null || val === undefined ? '—' : formatNumber(Math.round(val));
+    const sumBy = (list, key) => list.reduce((sum, e) => sum + (e[key] || 0), 0);
+
+    if (entries.length === 0) {
+        const totalsText = dayTotals
+            ? `Итого за день: ${formatValue(dayTotals.calories)} ккал, Б ${formatValue(dayTotals.proteins)} / Ж ${formatValue(dayTotals.fats)} / У ${formatValue(dayTotals.carbs)} г.`
+            : '';
+        body.innerHTML = `
+            <div class="food-diary-empty">
+                За этот день нет записей в дневнике питания (лист <b>food_log</b>) — есть только итоги из <b>kbju_data</b>.
+                <div>${totalsText}</div>
+            </div>
+        `;
+    } else {
+        const meals = Object.keys(mealLabels).filter(meal => entries.some(e => e.meal === meal));
+        body.innerHTML = meals.map(meal => {
+            const mealEntries = entries.filter(e => e.meal === meal);
+            const rows = mealEntries.map(e => `
+                <tr>
+                    <td class="food-time">${escapeHtml(e.time)}</td>
+                    <td class="food-name">${escapeHtml(e.food)}</td>
+                    <td>${formatValue(e.grams)}</td>
+                    <td>${formatValue(e.calories)}</td>
+                    <td>${formatValue(e.proteins)}</td>
+                    <td>${formatValue(e.fats)}</td>
+                    <td>${formatValue(e.carbs)}</td>
+                </tr>
+            `).join('');
+
+            return `
+                <div class="food-meal">
+                    <div class="food-meal-header">
+                        <span>${mealLabels[meal]}</span>
+                        <span class="food-meal-total">${formatValue(sumBy(mealEntries, 'calories'))} ккал</span>
+                    </div>
+                    <table class="food-table">
+                        <thead>
+                            <tr><th></th><th>Продукт</th><th>г</th><th>ккал</th><th>Б</th><th>Ж</th><th>У</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `;
+        }).join('') + `
+            <div class="food-day-total">
+                Итого: <b>${formatValue(sumBy(entries, 'calories'))} ккал</b>,
+                Б ${formatValue(sumBy(entries, 'proteins'))} / Ж ${formatValue(sumBy(entries, 'fats'))} / У ${formatValue(sumBy(entries, 'carbs'))} г
+                ${dayTotals && !dayTotals.fromDiary
+                    ? `<div>В <b>kbju_data</b> за этот день есть свои итоги — дашборд использует их: ${formatValue(dayTotals.calories)} ккал.</div>`
+                    : ''}
+            </div>
+        `;
+    }
+
+    foodDiaryModal.classList.add('active');
+}
+
+// Close food diary
+function closeFoodDiary() {
+    foodDiaryModal.classList.remove('active');
+}
+
 // Populate settings form with current values
 function populateSettingsForm() {
+    const dashboardProfile = getActiveProfile();
+    document.getElementById('settingProfileName').value = dashboardProfile.name;
+    document.getElementById('settingProfileUser').value = dashboardProfile.user || '';
+    document.getElementById('deleteProfile').disabled = getProfileState().list.length <= 1;
+
     document.getElementById('settingSheetUrl').value = getSheetUrl();
+    document.getElementById('settingApiToken').value = getApiToken();
+
+    // Profile
+    const profile = targets.profile;
+    const activitySelect = document.getElementById('settingActivityLevel');
+    activitySelect.innerHTML = Object.entries(activityLevels)
+        .map(([key, level]) => `<option value="${key}">${level.label}</option>`)
+        .join('');
+    document.getElementById('settingSex').value = profile.sex;
+    document.getElementById('settingBirthDate').value = profile.birthDate || '';
+    activitySelect.value = profile.activityLevel;
+    renderHeightHistory(profile.heights || []);
+
     document.getElementById('settingBmiTarget').value = targets.bmi;
+    document.getElementById('settingTrendSmoothing').value = targets.trendSmoothing;
+    const weekStartSelect = document.getElementById('settingWeekStart');
+    weekStartSelect.innerHTML = Object.entries(WEEK_START_DAYS)
+        .map(([key, day]) => `<option value="${key}">${day.label}</option>`)
+        .join('');
+    weekStartSelect.value = targets.weekStart;
+    document.getElementById('settingGoalWeight').value = targets.goalWeight || '';
+    document.getElementById('settingGoalDate').value = targets.goalDate || '';
 
     // Macro targets
     document.getElementById('settingProteins').value = targets.proteins || '';
@@ -68,17 +415,84 @@ function populateSettingsForm() {
     document.getElementById('settingZoneHealthyLoss').value = targets.calorieZones.healthyLoss;
     document.getElementById('settingZoneSlowLoss').value = targets.calorieZones.slowLoss;
     document.getElementById('settingZoneMaintenance').value = targets.calorieZones.maintenance;
+
+    // Target schedule
+    const schedule = targets.schedule || DEFAULT_SCHEDULE;
+    renderScheduleWeekdays(schedule.weekdays || []);
+    document.getElementById('scheduleOverridesList').innerHTML = '';
+    (schedule.overrides || []).forEach(entry => addScheduleOverrideRow(entry));
+
+    // Extra nutrients
+    document.getElementById('extraNutrientsList').innerHTML = '';
+    (targets.extraNutrients || []).forEach(entry => addExtraNutrientRow(entry));
+    document.getElementById('extraNutrientPreset').innerHTML = [
+        ...Object.entries(NUTRIENT_PRESETS).map(([key, preset]) => `<option value="${key}">${preset.label}</option>`),
+        '<option value="">Свой нутриент</option>'
+    ].join('');
+    const foundKeys = getAvailableNutrientKeys();
+    document.getElementById('extraNutrientsFound').textContent = foundKeys.length > 0
+        ? `Колонки в таблице: ${foundKeys.join(', ')}.`
+        : '';
+
+    // Offer to rescale zones from the TDEE estimate
+    const tdeeBtn = document.getElementById('rescaleZonesFromTdee');
+    const currentTdee = getCurrentTDEE();
+    tdeeBtn.disabled = !currentTdee;
+    tdeeBtn.textContent = currentTdee
+        ? `📐 Пересчитать от TDEE (~${currentTdee.tdee} ккал)`
+        : '📐 Пересчитать от TDEE (мало данных)';
+}
+
+// Fill zone inputs with boundaries rescaled to the current TDEE estimate
+function handleRescaleZonesFromTdee() {
+    const currentTdee = getCurrentTDEE();
+    if (!currentTdee) return;
+
+    const zones = rescaleCalorieZones({
+        unhealthyDeficit: parseInt(document.getElementById('settingZoneUnhealthyDeficit').value),
+        fastLoss: parseInt(document.getElementById('settingZoneFastLoss').value),
+        healthyLoss: parseInt(document.getElementById('settingZoneHealthyLoss').value),
+        slowLoss: parseInt(document.getElementById('settingZoneSlowLoss').value),
+        maintenance: parseInt(document.getElementById('settingZoneMaintenance').value)
+    }, currentTdee.tdee);
+
+    document.getElementById('settingZoneUnhealthyDeficit').value = zones.unhealthyDeficit;
+    document.getElementById('settingZoneFastLoss').value = zones.fastLoss;
+    document.getElementById('settingZoneHealthyLoss').value = zones.healthyLoss;
+    document.getElementById('settingZoneSlowLoss').value = zones.slowLoss;
+    document.getElementById('settingZoneMaintenance').value = zones.maintenance;
 }
 
 // Save settings from form
 function handleSaveSettings() {
+    const dashboardProfile = getActiveProfile();
+    updateProfile(dashboardProfile.id, {
+        name: document.getElementById('settingProfileName').value.trim() || dashboardProfile.name,
+        // Same rule as normalizeUser in Code.gs
+        user: document.getElementById('settingProfileUser').value.trim().toLowerCase().replace(/[^\p{L}\p{N}_-]/gu, '')
+    });
+    renderProfileSwitcher();
+
     const sheetUrl = document.getElementById('settingSheetUrl').value;
     if (sheetUrl && sheetUrl.trim() !== '') {
         saveSheetUrl(sheetUrl.trim());
     }
+    saveApiToken(document.getElementById('settingApiToken').value.trim());
+
+    const heights = readHeightHistory();
 
     const newSettings = {
+        profile: {
+            sex: document.getElementById('settingSex').value,
+            birthDate: document.getElementById('settingBirthDate').value,
+            activityLevel: document.getElementById('settingActivityLevel').value,
+            heights: heights.length > 0 ? heights : targets.profile.heights
+        },
         bmi: parseFloat(document.getElementById('settingBmiTarget').value),
+        trendSmoothing: parseFloat(document.getElementById('settingTrendSmoothing').value) || targets.trendSmoothing,
+        weekStart: document.getElementById('settingWeekStart').value,
+        goalWeight: parseFloat(document.getElementById('settingGoalWeight').value) || null,
+        goalDate: document.getElementById('settingGoalDate').value,
         proteins: parseInt(document.getElementById('settingProteins').value) || null,
         fats: parseInt(document.getElementById('settingFats').value) || null,
         carbs: parseInt(document.getElementById('settingCarbs').value) || null,
@@ -89,7 +503,9 @@ function handleSaveSettings() {
             slowLoss: parseInt(document.getElementById('settingZoneSlowLoss').value),
             maintenance: parseInt(document.getElementById('settingZoneMaintenance').value),
             surplus: 10000 // Upper bound for surplus (virtual)
-        }
+        },
+        schedule: readTargetSchedule(),
+        extraNutrients: readExtraNutrients()
     };
 
     saveSettings(newSettings);
@@ -99,7 +515,281 @@ function handleSaveSettings() {
     initDashboard();
 }
 
+// Show a short notification in the corner ('success' | 'error' | 'info')
+function showToast(message, type = 'info', duration = 4000) {
+    const container = document.getElementById('toastContainer');
+    if (!container) return;
+
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = message;
+    container.appendChild(toast);
+
+    setTimeout(() => {
+        toast.classList.add('hiding');
+        setTimeout(() => toast.remove(), 300);
+    }, duration);
+}
+
+// Open quick add panel
+// With a date the panel edits that day: the form starts with its current values
+// (nutrition of diary days is left empty: those totals come from food_log)
+function openQuickAddPanel(date = null) {
+    quickAddEdit = date ? { date, hasDiary: isDiaryDay(date) } : null;
+    const weight = date ? weightData.find(d => d.date === date) || {} : {};
+    const kbju = date && !quickAddEdit.hasDiary ? kbjuData.find(d => d.date === date) || {} : {};
+    const values = {
+        quickAddWeight: weight.weight,
+        quickAddCalories: kbju.calories,
+        quickAddProteins: kbju.proteins,
+        quickAddFats: kbju.fats,
+        quickAddCarbs: kbju.carbs
+    };
+
+    document.getElementById('quickAddTitle').textContent = date ? `✏️ Запись за ${formatDisplayDate(date)}` : '➕ Быстрое добавление';
+    document.getElementById('quickAddDate').value = date || formatDateToString(new Date());
+    Object.entries(values).forEach(([id, value]) => {
+        document.getElementById(id).value = value !== null && value !== undefined ? value : '';
+    });
+    document.getElementById('quickAddError').textContent = '';
+    quickAddModal.classList.add('active');
+}
+
+// Close quick add panel
+function closeQuickAddPanel() {
+    quickAddModal.classList.remove('active');
+}
+
+// Read quick add form into a doPost item (only filled fields are sent)
+function readQuickAddForm() {
+    const item = { date: document.getElementById('quickAddDate').value };
+    const fields = {
+        weight: 'quickAddWeight',
+        calories: 'quickAddCalories',
+        proteins: 'quickAddProteins',
+        fats: 'quickAddFats',
+        carbs: 'quickAddCarbs'
+    };
+    Object.entries(fields).forEach(([key, id]) => {
+        const value = parseFloat(document.getElementById(id).value.replace(',', '.'));
+        if (!isNaN(value) && value >= 0) item[key] = value;
+    });
+    return item;
+}
+
+// doPost operations that make an edited day match the form: filled values replace the day, cleared ones delete it
+// Nutrition of diary days isn't in the form (it comes from food_log) and is left as it is
+function buildEditOperations(item, hasDiary) {
+    const { date } = item;
+    const operations = [];
+    if (item.weight !== undefined) operations.push({ op: 'replace', sheet: 'weight', date, weight: item.weight });
+    else if (weightData.some(d => d.date === date)) operations.push({ op: 'delete', sheet: 'weight', date });
+    if (hasDiary) return operations;
+
+    const kbju = kbjuData.find(d => d.date === date);
+    const nutrition = {};
+    KBJU_BASE_KEYS.filter(key => item[key] !== undefined).forEach(key => { nutrition[key] = item[key]; });
+    if (Object.keys(nutrition).length > 0) {
+        // Extra nutrients (fiber, water...) aren't in the form: replace keeps the day's values
+        const extras = {};
+        getKnownNutrientKeys()
+            .filter(key => kbju && kbju[key] !== null && kbju[key] !== undefined)
+            .forEach(key => { extras[key] = kbju[key]; });
+        operations.push({ op: 'replace', sheet: 'kbju', date, ...extras, ...nutrition });
+    } else if (kbju) {
+        operations.push({ op: 'delete', sheet: 'kbju', date });
+    }
+    return operations;
+}
+
+// Save quick add entry
+// A day opened for editing is written as replace / delete operations, so cleared fields leave the sheet too
+async function handleQuickAdd() {
+    const errorEl = document.getElementById('quickAddError');
+    const item = readQuickAddForm();
+
+    if (!item.date) {
+        errorEl.textContent = 'Укажите дату';
+        return;
+    }
+    // The dashboard drops days with zero weight or calories, so a 0 would only live in the sheet
+    if (item.weight === 0 || item.calories === 0) {
+        errorEl.textContent = 'Вес и калории должны быть больше нуля';
+        return;
+    }
+    const isEdit = quickAddEdit && quickAddEdit.date === item.date;
+    const entry = isEdit ? buildEditOperations(item, quickAddEdit.hasDiary) : item;
+    if (isEdit ? entry.length === 0 : Object.keys(item).length === 1) {
+        errorEl.textContent = 'Заполните вес или хотя бы одно значение КБЖУ';
+        return;
+    }
+
+    closeQuickAddPanel();
+    await submitEntry(entry, `✅ Данные за ${formatDisplayDate(item.date)} сохранены`);
+}
+
+// Write a doPost item (or a list of them): update charts right away, roll back if the POST fails
+async function submitEntry(entry, successMessage) {
+    const sheetUrl = getSheetUrl();
+    const snapshot = snapshotData();
+
+    (Array.isArray(entry) ? entry : [entry]).forEach(applyLocalEntry);
+    renderDashboard();
+
+    try {
+        await postDataToSheets(sheetUrl, entry);
+        showToast(successMessage, 'success');
+        refreshInBackground();
+    } catch (error) {
+        console.error('Save entry error:', error);
+        restoreData(snapshot);
+        renderDashboard();
+        showToast(`❌ Не удалось сохранить: ${error.message}`, 'error', 6000);
+        // Part of a batch may still have been written: reload what the sheet really has
+        refreshInBackground();
+    }
+}
+
+// Right-click (long press on touch screens) on a daily point of a chart opens its edit / delete menu
+// source: 'weight' or 'kbju'; the chart marks point dates with a pointDates dataset
+function attachPointMenu(chart, source) {
+    if (!chart) return;
+    chart.canvas.oncontextmenu = (event) => {
+        const elements = chart.getElementsAtEventForMode(event, 'nearest', { intersect: false }, true);
+        const dataset = chart.data.datasets.find(ds => ds.pointDates);
+        const date = elements.length > 0 && dataset ? dataset.pointDates[elements[0].index] : null;
+        if (!date || !(source === 'weight' ? weightData : kbjuData).some(d => d.date === date)) return;
+
+        event.preventDefault();
+        openPointMenu(event, date, source);
+    };
+}
+
+function openPointMenu(event, date, source) {
+    const menu = document.getElementById('pointMenu');
+    // Totals of diary days come from food_log: they are edited in the diary
+    const hasDiary = source === 'kbju' && isDiaryDay(date);
+    const actions = hasDiary
+        ? [{ label: '🍽️ Открыть дневник', run: () => openFoodDiary(date) }]
+        : [
+            { label: '✏️ Изменить', run: () => openQuickAddPanel(date) },
+            { label: '🗑️ Удалить точку', run: () => handleDeletePoint(date, source) }
+        ];
+
+    menu.innerHTML = `
+        <div class="point-menu-title">${formatDisplayDate(date)}${hasDiary ? ' · из дневника' : ''}</div>
+        ${actions.map((action, index) => `<button class="point-menu-item" data-action="${index}">${action.label}</button>`).join('')}
+    `;
+    menu.querySelectorAll('[data-action]').forEach(btn => {
+        btn.onclick = () => {
+            closePointMenu();
+            actions[btn.dataset.action].run();
+        };
+    });
+
+    menu.classList.add('active');
+    // Keep the menu inside the viewport
+    menu.style.left = `${Math.min(event.pageX, window.scrollX + window.innerWidth - menu.offsetWidth - 8)}px`;
+    menu.style.top = `${Math.min(event.pageY, window.scrollY + window.innerHeight - menu.offsetHeight - 8)}px`;
+}
+
+function closePointMenu() {
+    document.getElementById('pointMenu').classList.remove('active');
+}
+
+// Delete a day of weight or nutrition from the sheet after confirmation
+function handleDeletePoint(date, source) {
+    const entry = (source === 'weight' ? weightData : kbjuData).find(d => d.date === date);
+    if (!entry) return;
+
+    const value = source === 'weight'
+        ? `вес ${entry.weight} кг`
+        : `КБЖУ${entry.calories !== null ? ` (${formatNumber(Math.round(entry.calories))} ккал)` : ''}`;
+    if (!confirm(`Удалить ${value} за ${formatDisplayDate(date)} из таблицы?`)) return;
+
+    submitEntry({ op: 'delete', sheet: source, date }, `🗑️ Удалено: ${value} за ${formatDisplayDate(date)}`);
+}
+
+// Re-fetch data after a write and re-render only if something changed
+async function refreshInBackground() {
+    const sheetUrl = getSheetUrl();
+    try {
+        const result = await fetchDataFromSheets(sheetUrl);
+        if (result.changed) renderDashboard();
+        notifyStreakChanges(computeStreaks());
+        updateSyncStatus(result.syncedAt, 'fresh');
+    } catch (error) {
+        console.warn('Background refresh failed:', error);
+    }
+}
+
+// Format sync timestamp as DD.MM HH:MM
+function formatSyncTime(timestamp) {
+    const d = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(d.getDate())}.${pad(d.getMonth() + 1)} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// Update "last synced at" badge in the header
+// state: 'fresh' | 'refreshing' | 'offline'
+function updateSyncStatus(syncedAt, state) {
+    const statusEl = document.getElementById('syncStatus');
+    const textEl = document.getElementById('syncStatusText');
+    if (!statusEl || !textEl) return;
+
+    const timeStr = syncedAt ? formatSyncTime(syncedAt) : '—';
+    const stale = isCacheStale(syncedAt);
+
+    statusEl.classList.remove('fresh', 'refreshing', 'stale', 'offline');
+    statusEl.style.display = 'flex';
+
+    if (state === 'refreshing') {
+        statusEl.classList.add('refreshing');
+        textEl.textContent = `Обновление… (данные от ${timeStr})`;
+    } else if (state === 'offline') {
+        statusEl.classList.add(stale ? 'stale' : 'offline');
+        textEl.textContent = stale
+            ? `⚠️ Нет связи, данные устарели: ${timeStr}`
+            : `Нет связи, данные от ${timeStr}`;
+    } else {
+        statusEl.classList.add('fresh');
+        textEl.textContent = `Синхронизировано ${timeStr}`;
+    }
+
+    statusEl.title = stale
+        ? 'Данные давно не обновлялись из Google Sheets'
+        : `Последняя синхронизация: ${timeStr}`;
+}
+
+// Render all charts from current weightData / kbjuData
+function renderDashboard() {
+    const ignoredIssues = getIgnoredIssues();
+    dataIssues = validateData().filter(issue => !ignoredIssues.includes(issue.id));
+    tdeeHistory = getTDEEHistory();
+
+    // Set date ranges
+    initializeDateRanges();
+
+    // Create charts
+    if (weightData.length > 0) {
+        updateWeightCharts(weightData);
+    }
+    updateBodyCharts(null, null);
+    updateGoalSummary();
+
+    if (kbjuData.length > 0) {
+        updateKBJUCharts(kbjuData);
+        updateMacroCharts(kbjuData);
+    }
+    renderCalendarHeatmap();
+
+    updateStreaksPanel(computeStreaks());
+
+    updateDataQualityPanel();
+}
+
 // Initialize dashboard
+// Renders the cached copy right away (if any), then refreshes from the network
 async function initDashboard() {
     showLoading(true);
     hideError();
@@ -112,8 +802,22 @@ async function initDashboard() {
         return;
     }
 
+    let cached = null;
     try {
-        await fetchDataFromSheets(sheetUrl);
+        cached = await loadCachedData(sheetUrl);
+    } catch (error) {
+        console.warn('Offline cache unavailable:', error);
+    }
+
+    const hasCachedData = cached && (weightData.length > 0 || kbjuData.length > 0);
+    if (hasCachedData) {
+        renderDashboard();
+        showLoading(false);
+        updateSyncStatus(cached.syncedAt, 'refreshing');
+    }
+
+    try {
+        const result = await fetchDataFromSheets(sheetUrl);
 
         if (weightData.length === 0 && kbjuData.length === 0) {
             showLoading(false);
@@ -121,88 +825,597 @@ async function initDashboard() {
             return;
         }
 
-        // Set date ranges
-        initializeDateRanges();
-
-        // Create charts
-        if (weightData.length > 0) {
-            const weeklyAverages = getWeeklyAverages(weightData);
-            if (charts.weight) charts.weight.destroy();
-            if (charts.bmi) charts.bmi.destroy();
-            charts.weight = createWeightChart(weeklyAverages, weightData);
-            charts.bmi = createBMIChart(weeklyAverages, weightData);
-        }
-
-        if (kbjuData.length > 0) {
-            updateKBJUCharts(kbjuData);
-            updateMacroCharts(kbjuData);
+        if (!hasCachedData || result.changed) {
+            renderDashboard();
         }
+        notifyStreakChanges(computeStreaks());
 
         showLoading(false);
+        updateSyncStatus(result.syncedAt, 'fresh');
     } catch (error) {
         console.error('Dashboard init error:', error);
         showLoading(false);
+
+        if (hasCachedData) {
+            updateSyncStatus(cached.syncedAt, 'offline');
+            return;
+        }
         showError(error.message);
     }
 }
 
+// Second range of a section in comparison mode: { range, primaryRange, data } or null
+function getComparison(type, primaryRange) {
+    const range = comparisonRanges[type];
+    if (!range) return null;
+    const source = type === 'nutrition' ? kbjuData : weightData;
+    return { range, primaryRange, data: filterByDateRange(source, range.start, range.end) };
+}
+
+// Comparison points for a nutrition chart: the second range aggregated like the primary one
+function getNutritionComparisonPoints(primaryItems, comparison, key) {
+    if (!comparison) return null;
+    const today = new Date().toISOString().split('T')[0];
+    const data = comparison.data.filter(d => d[key] !== null && (nutritionView !== 'day' || d.date < today));
+    const items = aggregateDataByPeriod(kbjuData, data, key, nutritionView);
+    return getComparisonPoints(primaryItems, items, comparison.primaryRange, comparison.range);
+}
+
+// Delta table of comparison mode (primary range minus comparison range)
+// rows: [{ label, a, b, digits, unit, signed, better: 'higher' | 'lower' | null }]
+function renderComparisonTable(containerId, rows, comparison) {
+    const el = document.getElementById(containerId);
+    if (!el) return;
+    if (!comparison) {
+        el.style.display = 'none';
+        el.innerHTML = '';
+        return;
+    }
+
+    const format = (value, row, signed = row.signed) => {
+        if (value === null || value === undefined) return '—';
+        const sign = signed && value > 0 ? '+' : '';
+        return `${sign}${formatNumber(value.toFixed(row.digits))}${row.unit}`;
+    };
+    const rangeTitle = (range) => `${formatDisplayDate(range.start)} — ${formatDisplayDate(range.end)}`;
+
+    el.innerHTML = `
+        <table class="food-table">
+            <thead>
+                <tr>
+                    <th>Показатель</th>
+                    <th>${rangeTitle(comparison.primaryRange)}</th>
+                    <th>${rangeTitle(comparison.range)}</th>
+                    <th>Разница</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => {
+                    const delta = row.a !== null && row.b !== null ? row.a - row.b : null;
+                    let deltaClass = '';
+                    if (delta && row.better) {
+                        deltaClass = (delta > 0) === (row.better === 'higher') ? 'better' : 'worse';
+                    }
+                    const deltaRow = row.unit === '%' ? { ...row, unit: ' п.п.' } : row;
+                    return `
+                        <tr>
+                            <td class="food-time">${row.label}</td>
+                            <td>${format(row.a, row)}</td>
+                            <td>${format(row.b, row)}</td>
+                            <td class="comparison-delta ${deltaClass}">${format(delta, deltaRow, true)}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+    el.style.display = '';
+}
+
+// Weight rows of the comparison table; pace is "better" in the direction of the goal weight
+function updateMetricsComparison(data, comparison) {
+    if (!comparison) {
+        renderComparisonTable('metricsComparison', [], null);
+        return;
+    }
+
+    const a = summarizeWeightPeriod(data);
+    const b = summarizeWeightPeriod(comparison.data);
+    const direction = targets.goalWeight && a.avgWeight
+        ? (targets.goalWeight < a.avgWeight ? 'lower' : 'higher')
+        : null;
+
+    renderComparisonTable('metricsComparison', [
+        { label: 'Взвешиваний', a: a.weighIns, b: b.weighIns, digits: 0, unit: '' },
+        { label: 'Средний вес', a: a.avgWeight, b: b.avgWeight, digits: 1, unit: ' кг' },
+        { label: 'Изменение веса (тренд)', a: a.change, b: b.change, digits: 1, unit: ' кг', signed: true, better: direction },
+        { label: 'Темп', a: a.ratePerWeek, b: b.ratePerWeek, digits: 2, unit: ' кг/нед', signed: true, better: direction }
+    ], comparison);
+}
+
+// Nutrition rows of the comparison table (daily values, today excluded)
+function updateNutritionComparison(data, comparison) {
+    if (!comparison) {
+        renderComparisonTable('nutritionComparison', [], null);
+        return;
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const a = summarizeNutritionPeriod(data.filter(d => d.date < today));
+    const b = summarizeNutritionPeriod(comparison.data.filter(d => d.date < today));
+
+    renderComparisonTable('nutritionComparison', [
+        { label: 'Дней с записями', a: a.days, b: b.days, digits: 0, unit: '' },
+        { label: 'Калории', a: a.calories, b: b.calories, digits: 0, unit: ' ккал' },
+        { label: 'Белки', a: a.proteins, b: b.proteins, digits: 0, unit: ' г', better: 'higher' },
+        { label: 'Жиры', a: a.fats, b: b.fats, digits: 0, unit: ' г' },
+        { label: 'Углеводы', a: a.carbs, b: b.carbs, digits: 0, unit: ' г' },
+        { label: 'Норма белка', a: a.proteinsSuccess, b: b.proteinsSuccess, digits: 0, unit: '%', better: 'higher' },
+        { label: 'Норма жиров', a: a.fatsSuccess, b: b.fatsSuccess, digits: 0, unit: '%', better: 'higher' },
+        { label: 'Норма углеводов', a: a.carbsSuccess, b: b.carbsSuccess, digits: 0, unit: '%', better: 'higher' },
+        { label: 'Дни в зонах похудения', a: a.lossShare, b: b.lossShare, digits: 0, unit: '%' }
+    ], comparison);
+}
+
+// Update weight and BMI charts
+// The goal projection is drawn only when the range includes the latest weigh-in
+// comparison: second range in comparison mode (see getComparison), its trend is overlaid on the weight chart
+function updateWeightCharts(data, comparison = null) {
+    if (charts.weight) charts.weight.destroy();
+    if (charts.bmi) charts.bmi.destroy();
+
+    const periodAverages = getPeriodAverages(data, metricsView);
+    const lastDate = weightData.length > 0 ? weightData[weightData.length - 1].date : null;
+    const includesLatest = data.some(d => d.date === lastDate);
+    const forecast = includesLatest ? getWeightForecast(getForecastHorizon(getGoalProjection(tdeeHistory))) : [];
+
+    const comparisonData = comparison
+        ? alignComparisonByOffset(comparison.data, comparison.primaryRange, comparison.range)
+        : [];
+
+    charts.weight = createWeightChart(periodAverages, data, forecast, comparisonData, groupIssuesByDate(dataIssues, 'weight'));
+    attachPointMenu(charts.weight, 'weight');
+    charts.bmi = createBMIChart(periodAverages, data);
+    updateMetricsComparison(data, comparison);
+}
+
+// Update body measurement charts for the selected metrics range
+function updateBodyCharts(startDate, endDate) {
+    ['bodyComposition', 'waistToHeight', 'bodyFat', 'measurements'].forEach(key => {
+        if (charts[key]) charts[key].destroy();
+        charts[key] = null;
+    });
+
+    const section = document.getElementById('bodyComposition');
+    if (!section) return;
+
+    const items = filterByDateRange(getBodyComposition(), startDate, endDate);
+    section.style.display = items.length > 0 ? '' : 'none';
+    if (items.length === 0) return;
+
+    // Each chart is shown only when its inputs were measured
+    const show = (containerId, hasData) => {
+        document.getElementById(containerId).style.display = hasData ? '' : 'none';
+        return hasData;
+    };
+    if (show('bodyCompositionContainer', items.some(d => d.fatMass !== null))) {
+        charts.bodyComposition = createBodyCompositionChart(items);
+    }
+    if (show('waistToHeightContainer', items.some(d => d.waistToHeight !== null))) {
+        charts.waistToHeight = createWaistToHeightChart(items);
+    }
+    if (show('bodyFatContainer', items.some(d => d.navyBodyFat !== null || d.bodyFat !== null))) {
+        charts.bodyFat = createBodyFatChart(items);
+    }
+    if (show('measurementsContainer', items.some(d => Object.keys(colors.body).some(key => d[key] !== null)))) {
+        charts.measurements = createMeasurementsChart(items);
+    }
+
+    document.getElementById('bodyInsight').innerHTML = getBodyInsight(items);
+}
+
+// Change of waist and lean/fat mass between the first and last measurement of the range
+function getBodyInsight(items) {
+    const change = (key, unit) => {
+        const values = items.filter(d => d[key] !== null);
+        if (values.length < 2) return null;
+        const diff = values[values.length - 1][key] - values[0][key];
+        return `<span class="highlight">${diff > 0 ? '+' : ''}${diff.toFixed(1)} ${unit}</span>`;
+    };
+
+    const parts = [];
+    const waist = change('waist', 'см');
+    const lean = change('leanMass', 'кг');
+    const fat = change('fatMass', 'кг');
+    if (waist) parts.push(`талия ${waist}`);
+    if (lean) parts.push(`безжировая масса ${lean}`);
+    if (fat) parts.push(`жировая масса ${fat}`);
+
+    return parts.length > 0 ? `📏 За период: ${parts.join(', ')}` : '';
+}
+
+// Update goal weight summary card
+function updateGoalSummary() {
+    const card = document.getElementById('goalSummary');
+    if (!card) return;
+
+    const projection = getGoalProjection(tdeeHistory);
+    if (!projection) {
+        card.style.display = 'none';
+        return;
+    }
+    card.style.display = 'flex';
+
+    const lines = [];
+    const goalStr = `${projection.goalWeight.toFixed(1)} кг`;
+    const rateSign = projection.ratePerWeek > 0 ? '+' : '';
+
+    if (projection.arrivalDate) {
+        lines.push(`🎯 При текущем темпе (${rateSign}${projection.ratePerWeek.toFixed(2)} кг/нед) вы достигнете <span class="highlight">${goalStr}</span> к <span class="highlight">${formatDateDDMM(projection.arrivalDate)}</span>`);
+    } else {
+        lines.push(`⚠️ При текущем темпе (${rateSign}${projection.ratePerWeek.toFixed(2)} кг/нед) цель <span class="highlight">${goalStr}</span> не достигается`);
+    }
+
+    if (projection.deadline) {
+        if (projection.requiredDailyDeficit === null) {
+            lines.push(`⏰ Срок ${formatDisplayDate(projection.deadline)} уже прошёл`);
+        } else {
+            const deficit = projection.requiredDailyDeficit;
+            const deficitStr = deficit >= 0
+                ? `дефицит <span class="highlight">~${formatNumber(deficit)} ккал</span> в день`
+                : `профицит <span class="highlight">~${formatNumber(-deficit)} ккал</span> в день`;
+            const intakeStr = projection.requiredIntake
+                ? ` (≈ ${formatNumber(projection.requiredIntake)} ккал/день при текущем расходе)`
+                : '';
+            lines.push(`⏰ Чтобы успеть к ${formatDisplayDate(projection.deadline)}, нужен ${deficitStr}${intakeStr}`);
+        }
+    }
+
+    document.getElementById('goalSummaryText').innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+}
+
 // Update КБЖУ charts (calories and distribution)
-function updateKBJUCharts(data) {
+function updateKBJUCharts(data, comparison = null) {
     if (charts.calorie) charts.calorie.destroy();
     if (charts.distribution) charts.distribution.destroy();
 
+    updateNutritionComparison(data, comparison);
     if (data.length === 0) return;
 
     let filteredData = data.filter(d => d.calories !== null);
 
     // If daily view, exclude today's incomplete data
-    if (nutritionView === 'daily') {
+    if (nutritionView === 'day') {
         const today = new Date().toISOString().split('T')[0];
         filteredData = filteredData.filter(d => d.date < today);
     }
 
-    const calorieData = nutritionView === 'weekly' ? aggregateDataByWeek(kbjuData, filteredData, 'calories') : filteredData;
+    const calorieData = aggregateDataByPeriod(kbjuData, filteredData, 'calories', nutritionView);
 
-    charts.calorie = createCalorieChart(calorieData);
+    charts.calorie = createCalorieChart(calorieData, openFoodDiary,
+        getNutritionComparisonPoints(calorieData, comparison, 'calories'), groupIssuesByDate(dataIssues, 'kbju'));
+    attachPointMenu(charts.calorie, 'kbju');
     charts.distribution = createDistributionChart(calorieData);
 
+    updateTDEEChart(filteredData, tdeeHistory);
+    updateWeekdayPanel(filteredData);
+
     // Update distribution title
     const distTitleEl = document.getElementById('distributionChartTitle');
     if (distTitleEl) {
-        distTitleEl.textContent = nutritionView === 'weekly' ? '% недель по зонам' : '% дней по зонам';
+        distTitleEl.textContent = `% ${AGGREGATION_PERIODS[nutritionView].forms[2]} по зонам`;
+    }
+}
+
+// Update weekday patterns panel: averages per day of week, weekdays vs. weekends
+// Always uses daily values of the selected range
+function updateWeekdayPanel(data) {
+    if (charts.weekday) charts.weekday.destroy();
+    charts.weekday = null;
+
+    const breakdown = getWeekdayBreakdown(data, tdeeHistory);
+    const insightEl = document.getElementById('weekdayInsight');
+    const tableEl = document.getElementById('weekdayMacroTable');
+    const splitEl = document.getElementById('weekdayZoneSplit');
+    if (!insightEl || !tableEl || !splitEl) return;
+
+    if (breakdown.days.every(d => d.count === 0)) {
+        tableEl.innerHTML = '';
+        splitEl.innerHTML = '';
+        insightEl.textContent = 'Нет данных о калориях за выбранный период';
+        return;
+    }
+
+    charts.weekday = createWeekdayChart(breakdown);
+
+    const shortNames = ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'];
+    const cell = (value) => value !== null ? formatNumber(Math.round(value)) : '—';
+    tableEl.innerHTML = `
+        <table class="food-table">
+            <thead><tr><th>День</th><th>Ккал</th><th>Б</th><th>Ж</th><th>У</th><th>Дней</th></tr></thead>
+            <tbody>
+                ${breakdown.days.map(d => `
+                    <tr>
+                        <td class="food-time">${shortNames[d.index]}</td>
+                        <td>${cell(d.calories)}</td>
+                        <td>${cell(d.proteins)}</td>
+                        <td>${cell(d.fats)}</td>
+                        <td>${cell(d.carbs)}</td>
+                        <td>${d.count}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    // Zone share bars for weekdays and weekends
+    const splitRow = (title, zones) => {
+        const total = Object.values(zones).reduce((a, b) => a + b, 0);
+        const segments = Object.keys(zoneLabels)
+            .filter(zone => zones[zone])
+            .map(zone => {
+                const pct = Math.round((zones[zone] / total) * 100);
+                return `<div style="width: ${pct}%; background: ${colors.zones[zone]};" title="${zoneLabels[zone]}: ${pct}%"></div>`;
+            }).join('');
+        const surplusPct = total > 0 ? Math.round(((zones.surplus || 0) / total) * 100) : 0;
+        return `
+            <div class="zone-split-row">
+                <span>${title}: ${total} дн., избыток в ${surplusPct}%</span>
+                <div class="zone-split-bar">${segments}</div>
+            </div>
+        `;
+    };
+    splitEl.innerHTML = splitRow('Пн–Пт', breakdown.zones.weekdays) + splitRow('Сб–Вс', breakdown.zones.weekends);
+
+    // How much of the weekly balance comes from Friday–Sunday
+    const lines = [];
+    const weekly = breakdown.weeklyBalance;
+    const weeklyStr = `${weekly > 0 ? 'профицит' : 'дефицит'} <span class="highlight">~${formatNumber(Math.abs(weekly))} ккал</span> за неделю`;
+    lines.push(`⚖️ Типичная неделя: ${weeklyStr}`);
+
+    if (breakdown.friSunShare !== null) {
+        lines.push(`📅 Пт–Вс дают <span class="highlight">${breakdown.friSunShare}%</span> этого ${weekly > 0 ? 'профицита' : 'дефицита'}`);
+    } else if (weekly < 0 && breakdown.friSunBalance > 0) {
+        lines.push(`📅 Пт–Вс дают профицит <span class="highlight">~${formatNumber(breakdown.friSunBalance)} ккал</span> и съедают часть недельного дефицита`);
+    }
+
+    if (breakdown.friSunExtra !== null && breakdown.friSunExtra > 0) {
+        lines.push(`🍕 Пт–Вс на <span class="highlight">~${formatNumber(breakdown.friSunExtra)} ккал</span> больше, чем те же дни по среднему Пн–Чт`);
+    }
+    if (!breakdown.hasAllDays) {
+        lines.push('ℹ️ Не для всех дней недели есть данные — оценка приблизительная');
+    }
+
+    insightEl.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+}
+
+// Russian plural for "день"
+function pluralDays(n) {
+    const lastDigit = n % 10;
+    const lastTwoDigits = n % 100;
+    if (lastDigit === 1 && lastTwoDigits !== 11) return 'день';
+    if ([2, 3, 4].includes(lastDigit) && ![12, 13, 14].includes(lastTwoDigits)) return 'дня';
+    return 'дней';
+}
+
+// Render streak cards with badges
+function updateStreaksPanel(streaks) {
+    const container = document.getElementById('streakCards');
+    if (!container) return;
+
+    container.innerHTML = Object.entries(STREAK_TYPES).map(([type, config]) => {
+        const streak = streaks[type];
+        const badges = STREAK_BADGE_THRESHOLDS.map(threshold => {
+            const earned = streak.badges.includes(threshold);
+            return `<span class="streak-badge${earned ? ' earned' : ''}" title="${threshold} ${pluralDays(threshold)} подряд">${earned ? '🏅' : '🔒'} ${threshold}</span>`;
+        }).join('');
+        const last = streak.lastDate ? `, последний день: ${formatDisplayDate(streak.lastDate)}` : '';
+
+        return `
+            <div class="chart-container streak-card">
+                <div class="streak-title">${config.icon} ${config.label}</div>
+                <div class="streak-current${streak.current > 0 ? '' : ' inactive'}">🔥 ${streak.current} ${pluralDays(streak.current)}</div>
+                <div class="streak-record">🏆 Рекорд: ${streak.longest} ${pluralDays(streak.longest)}${last}</div>
+                <div class="streak-badges">${badges}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+// List data quality issues with one-click fixes; the section is hidden when there are none
+function updateDataQualityPanel() {
+    const section = document.getElementById('dataQuality');
+    const list = document.getElementById('dataQualityList');
+    if (!section || !list) return;
+
+    section.style.display = dataIssues.length > 0 ? '' : 'none';
+    if (dataIssues.length === 0) return;
+
+    document.getElementById('dataQualityCount').textContent = dataIssues.length;
+    const formatFix = (issue) => {
+        if (!issue.fix) {
+            return isDiaryDay(issue.date) && issue.source === 'kbju'
+                ? 'Исправьте запись в дневнике питания'
+                : 'Проверьте значение в таблице';
+        }
+        const limits = VALUE_LIMITS[issue.fix.field];
+        const current = issue.source === 'weight'
+            ? issue.value
+            : (kbjuData.find(d => d.date === issue.date) || {})[issue.fix.field];
+        return `${limits.label}: ${formatNumber(current)} → <span class="highlight">${formatNumber(issue.fix.value)}</span> ${limits.unit}`;
+    };
+
+    list.innerHTML = `
+        <table class="food-table data-quality-table">
+            <thead><tr><th>Дата</th><th>Проблема</th><th>Исправление</th><th></th></tr></thead>
+            <tbody>
+                ${dataIssues.map((issue, index) => `
+                    <tr>
+                        <td class="food-time">${formatDisplayDate(issue.date)}</td>
+                        <td class="food-name">${ISSUE_TYPES[issue.type].icon} ${ISSUE_TYPES[issue.type].label}<div class="data-quality-message">${issue.message}</div></td>
+                        <td class="data-quality-fix">${formatFix(issue)}</td>
+                        <td class="data-quality-actions">
+                            ${issue.fix ? `<button class="btn btn-primary btn-small" data-fix="${index}">Исправить</button>` : ''}
+                            <button class="btn btn-secondary btn-small" data-ignore="${index}" title="Значение верное, больше не показывать">Скрыть</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    list.querySelectorAll('[data-fix]').forEach(btn => {
+        btn.onclick = () => handleIssueFix(dataIssues[btn.dataset.fix]);
+    });
+    list.querySelectorAll('[data-ignore]').forEach(btn => {
+        btn.onclick = () => {
+            ignoreIssue(dataIssues[btn.dataset.ignore].id);
+            renderDashboard();
+        };
+    });
+}
+
+// POST the suggested correction of an issue
+function handleIssueFix(issue) {
+    if (!issue || !issue.fix) return;
+    const limits = VALUE_LIMITS[issue.fix.field];
+    submitEntry(
+        { date: issue.date, [issue.fix.field]: issue.fix.value },
+        `✅ ${limits.label} за ${formatDisplayDate(issue.date)}: ${formatNumber(issue.fix.value)} ${limits.unit}`
+    );
+}
+
+// Toasts for broken streaks and new records since the last visit
+// Runs only on data fresh from the sheet: the cached copy and optimistic updates would
+// report breaks and records that aren't real and save them as the seen state
+function notifyStreakChanges(streaks) {
+    const previous = getStreakState();
+
+    if (previous) {
+        Object.entries(STREAK_TYPES).forEach(([type, config]) => {
+            const before = previous[type];
+            const now = streaks[type];
+            if (!before) return;
+
+            if (before.current >= 3 && now.current === 0) {
+                showToast(`💔 Серия «${config.label}» прервалась на ${before.current} ${pluralDays(before.current)}`, 'error', 6000);
+            }
+            // A run that already was the record only notifies again when it earns a badge
+            const badge = now.badges.find(threshold => threshold > before.longest);
+            const wasRecordRun = before.current > 0 && before.current === before.longest;
+            if (before.longest > 0 && now.longest > before.longest && (!wasRecordRun || badge)) {
+                const badgeText = badge ? ` — новый значок 🏅 ${badge}` : '';
+                showToast(`🏆 Новый рекорд «${config.label}»: ${now.longest} ${pluralDays(now.longest)} подряд${badgeText}`, 'success', 6000);
+            }
+        });
+    }
+
+    const state = {};
+    Object.entries(streaks).forEach(([type, streak]) => {
+        state[type] = { current: streak.current, longest: streak.longest };
+    });
+    saveStreakState(state);
+}
+
+// Render calendar heatmap over all data (not limited by the nutrition range)
+function renderCalendarHeatmap() {
+    if (charts.heatmap) charts.heatmap.destroy();
+
+    if (!heatmapState.anchor) {
+        const lastDates = [kbjuData, weightData]
+            .filter(data => data.length > 0)
+            .map(data => data[data.length - 1].date)
+            .sort();
+        heatmapState.anchor = lastDates.length > 0 ? lastDates[lastDates.length - 1] : formatDateToString(new Date());
+    }
+
+    charts.heatmap = createCalendarHeatmap('calendarHeatmap', {
+        layer: heatmapState.layer,
+        mode: heatmapState.mode,
+        anchorDate: heatmapState.anchor,
+        onDayClick: (date) => {
+            const week = getPeriodRange(date, 'week');
+            applyNutritionRange(week.start, week.end, 'неделя');
+            document.getElementById('nutrition').scrollIntoView({ behavior: 'smooth' });
+        }
+    });
+}
+
+// Move the heatmap by one month or one year
+function shiftHeatmapAnchor(direction) {
+    const date = new Date(`${heatmapState.anchor}T00:00:00Z`);
+    if (heatmapState.mode === 'month') {
+        date.setUTCDate(1);
+        date.setUTCMonth(date.getUTCMonth() + direction);
+    } else {
+        date.setUTCFullYear(date.getUTCFullYear() + direction);
+    }
+    heatmapState.anchor = date.toISOString().split('T')[0];
+    renderCalendarHeatmap();
+}
+
+// Update TDEE chart for the dates covered by the selected nutrition range
+// tdeeEstimates: getTDEEHistory of the loaded data
+function updateTDEEChart(data, tdeeEstimates) {
+    if (charts.tdee) charts.tdee.destroy();
+    charts.tdee = null;
+
+    const insightEl = document.getElementById('tdeeInsight');
+    const dates = data.map(d => d.date).sort();
+    const history = dates.length > 0
+        ? tdeeEstimates.filter(d => d.date >= dates[0] && d.date <= dates[dates.length - 1])
+        : [];
+
+    if (history.length === 0) {
+        if (insightEl) {
+            insightEl.textContent = `Недостаточно данных: нужно хотя бы ${TDEE_MIN_INTAKE_DAYS} дней с калориями и ${TDEE_MIN_WEIGH_INS} взвешиваний за ${TDEE_WINDOW_DAYS} дней`;
+        }
+        return;
+    }
+
+    const latest = history[history.length - 1];
+    const lastWeight = weightData.length > 0 ? weightData[weightData.length - 1].weight : null;
+    const formulaTdee = calculateProfileTDEE(lastWeight, latest.date);
+
+    charts.tdee = createTDEEChart(history, formulaTdee);
+
+    if (insightEl) {
+        insightEl.innerHTML = `🔥 Оценка расхода: <span class="highlight">~${formatNumber(latest.tdee)} ккал</span> в день (за последние ${TDEE_WINDOW_DAYS} дней)`;
     }
 }
 
 // Update Macro charts and stats
-function updateMacroCharts(data) {
+function updateMacroCharts(data, comparison = null) {
     if (charts.proteins) charts.proteins.destroy();
     if (charts.fats) charts.fats.destroy();
     if (charts.carbs) charts.carbs.destroy();
 
+    updateExtraNutrientCharts(data, comparison);
+
     let filteredData = data.filter(d => d.proteins !== null || d.fats !== null || d.carbs !== null);
 
     // If daily view, exclude today's incomplete data
-    if (nutritionView === 'daily') {
+    if (nutritionView === 'day') {
         const today = new Date().toISOString().split('T')[0];
         filteredData = filteredData.filter(d => d.date < today);
     }
 
     if (filteredData.length === 0) return;
 
-    const proteinData = nutritionView === 'weekly' ? aggregateDataByWeek(kbjuData, filteredData, 'proteins') : filteredData;
-    const fatData = nutritionView === 'weekly' ? aggregateDataByWeek(kbjuData, filteredData, 'fats') : filteredData;
-    const carbData = nutritionView === 'weekly' ? aggregateDataByWeek(kbjuData, filteredData, 'carbs') : filteredData;
-
-    const dailyProteinStats = getMacroStats(filteredData, 'proteins');
-    const dailyFatStats = getMacroStats(filteredData, 'fats');
+    const proteinData = aggregateDataByPeriod(kbjuData, filteredData, 'proteins', nutritionView);
+    const fatData = aggregateDataByPeriod(kbjuData, filteredData, 'fats', nutritionView);
+    const carbData = aggregateDataByPeriod(kbjuData, filteredData, 'carbs', nutritionView);
 
-    const proteinStats = nutritionView === 'weekly' ? getMacroStats(proteinData, 'proteins') : dailyProteinStats;
-    const fatStats = nutritionView === 'weekly' ? getMacroStats(fatData, 'fats') : dailyFatStats;
+    const proteinStats = getMacroStats(proteinData, 'proteins');
+    const fatStats = getMacroStats(fatData, 'fats');
     const carbStats = getMacroStats(carbData, 'carbs');
 
-    charts.proteins = createMacroThermometerChart('proteinsChart', proteinData, 'proteins', colors.proteins, targets.proteins, proteinStats.avg);
-    charts.fats = createMacroThermometerChart('fatsChart', fatData, 'fats', colors.fats, targets.fats, fatStats.avg);
-    charts.carbs = createMacroThermometerChart('carbsChart', carbData, 'carbs', colors.carbs, targets.carbs, carbStats.avg);
+    charts.proteins = createMacroThermometerChart('proteinsChart', proteinData, 'proteins', colors.proteins, proteinStats.avg,
+        getNutritionComparisonPoints(proteinData, comparison, 'proteins'));
+    charts.fats = createMacroThermometerChart('fatsChart', fatData, 'fats', colors.fats, fatStats.avg,
+        getNutritionComparisonPoints(fatData, comparison, 'fats'));
+    charts.carbs = createMacroThermometerChart('carbsChart', carbData, 'carbs', colors.carbs, carbStats.avg,
+        getNutritionComparisonPoints(carbData, comparison, 'carbs'));
 
     // Gauge charts
     if (charts.proteinsGauge) charts.proteinsGauge.destroy();
@@ -212,28 +1425,22 @@ function updateMacroCharts(data) {
     charts.fatsGauge = createMacroGaugeChart('fatsGaugeChart', fatStats, nutritionView);
 
     // Update gauge titles and tooltips
+    const plural = AGGREGATION_PERIODS[nutritionView].plural;
+    const averageNote = nutritionView === 'day' ? '' : ' (в среднем)';
+    const capitalized = plural.charAt(0).toUpperCase() + plural.slice(1);
+
     const proteinsTitleEl = document.getElementById('proteinsGaugeTitle');
     const proteinsTooltipEl = document.getElementById('proteinsGaugeTooltip');
     if (proteinsTitleEl && proteinsTooltipEl) {
-        if (nutritionView === 'weekly') {
-            proteinsTitleEl.textContent = 'Успешные недели';
-            proteinsTooltipEl.setAttribute('data-tooltip', 'Недели без недобора по белку (в среднем)');
-        } else {
-            proteinsTitleEl.textContent = 'Успешные дни';
-            proteinsTooltipEl.setAttribute('data-tooltip', 'Дни без недобора по белку');
-        }
+        proteinsTitleEl.textContent = `Успешные ${plural}`;
+        proteinsTooltipEl.setAttribute('data-tooltip', `${capitalized} без недобора по белку${averageNote}`);
     }
 
     const fatsTitleEl = document.getElementById('fatsGaugeTitle');
     const fatsTooltipEl = document.getElementById('fatsGaugeTooltip');
     if (fatsTitleEl && fatsTooltipEl) {
-        if (nutritionView === 'weekly') {
-            fatsTitleEl.textContent = 'Успешные недели';
-            fatsTooltipEl.setAttribute('data-tooltip', 'Недели без перебора по жирам (в среднем)');
-        } else {
-            fatsTitleEl.textContent = 'Успешные дни';
-            fatsTooltipEl.setAttribute('data-tooltip', 'Дни без перебора по жирам');
-        }
+        fatsTitleEl.textContent = `Успешные ${plural}`;
+        fatsTooltipEl.setAttribute('data-tooltip', `${capitalized} без перебора по жирам${averageNote}`);
     }
 
     // Dynamic Insight Text
@@ -262,14 +1469,116 @@ function updateMacroCharts(data) {
         element.innerHTML = text;
     };
 
-    updateInsight('proteinsInsight', parseFloat(proteinStats.avg), targets.proteins, 'proteins');
-    updateInsight('fatsInsight', parseFloat(fatStats.avg), targets.fats, 'fats');
+    updateInsight('proteinsInsight', parseFloat(proteinStats.avg), proteinStats.target, 'proteins');
+    updateInsight('fatsInsight', parseFloat(fatStats.avg), fatStats.target, 'fats');
+}
+
+// Insight under an extra nutrient gauge: distance from the target in its direction
+function getNutrientInsight(avg, nutrient) {
+    const unit = escapeHtml(nutrient.unit);
+    const amount = (value) => `<span class="highlight">${formatNumber(Math.round(Math.abs(value) * 10) / 10)} ${unit}</span>`;
+    const label = escapeHtml(nutrient.label.toLowerCase());
+
+    if (nutrient.direction === 'min') {
+        return avg < nutrient.min
+            ? `⚠️ ${amount(nutrient.min - avg)} не хватает до цели (${label})`
+            : `🎯 ${amount(avg - nutrient.min)} сверх минимума. Отличный результат!`;
+    }
+    if (nutrient.direction === 'max') {
+        return avg <= nutrient.max
+            ? `🎯 ${amount(nutrient.max - avg)} в запасе до лимита. Так держать!`
+            : `⚠️ ${amount(avg - nutrient.max)} сверх лимита (${label})`;
+    }
+    if (avg < nutrient.min) return `⚠️ ${amount(nutrient.min - avg)} ниже диапазона`;
+    if (avg > nutrient.max) return `⚠️ ${amount(avg - nutrient.max)} выше диапазона`;
+    return `🎯 В диапазоне ${formatNumber(nutrient.min)}–${formatNumber(nutrient.max)} ${unit}`;
+}
+
+// Build a thermometer + gauge card for every tracked extra nutrient
+function updateExtraNutrientCharts(data, comparison = null) {
+    charts.extraNutrients.forEach(chart => chart && chart.destroy());
+    charts.extraNutrients = [];
+
+    const section = document.getElementById('extraNutrients');
+    const container = document.getElementById('extraNutrientCards');
+    if (!section || !container) return;
+
+    const today = formatDateToString(new Date());
+    const plural = AGGREGATION_PERIODS[nutritionView].plural;
+    const averageNote = nutritionView === 'day' ? '' : ' (в среднем)';
+    const capitalized = plural.charAt(0).toUpperCase() + plural.slice(1);
+
+    const tracked = (targets.extraNutrients || []).map((nutrient, index) => {
+        let filteredData = data.filter(d => d[nutrient.key] !== null && d[nutrient.key] !== undefined);
+        if (nutritionView === 'day') filteredData = filteredData.filter(d => d.date < today);
+        return { nutrient, index, filteredData };
+    }).filter(entry => entry.filteredData.length > 0);
+
+    section.style.display = tracked.length > 0 ? '' : 'none';
+    container.innerHTML = tracked.map(({ nutrient }) => {
+        const id = `nutrient-${nutrient.key}`;
+        const condition = { min: 'без недобора', max: 'без перебора', range: 'в пределах диапазона' }[nutrient.direction];
+        const tooltip = `${capitalized} ${condition}: ${nutrient.label.toLowerCase()}${averageNote}`;
+        return `
+            <div class="macro-section">
+                <div class="chart-container">
+                    <div class="chart-header">
+                        <div class="chart-title" id="${id}-chartTitle">${escapeHtml(nutrient.label)}</div>
+                    </div>
+                    <div class="chart-wrapper">
+                        <canvas id="${id}-chart"></canvas>
+                    </div>
+                </div>
+                <div class="macro-card gauge-card">
+                    <div class="gauge-title">
+                        <span>Успешные ${plural}</span>
+                        <span class="info-icon" data-tooltip="${escapeHtml(tooltip)}">i</span>
+                    </div>
+                    <div class="gauge-container">
+                        <canvas id="${id}-gauge"></canvas>
+                    </div>
+                    <div id="${id}-insight" class="gauge-insight"></div>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    tracked.forEach(({ nutrient, index, filteredData }) => {
+        const id = `nutrient-${nutrient.key}`;
+        const color = colors.nutrients[index % colors.nutrients.length];
+        const periodData = aggregateDataByPeriod(kbjuData, filteredData, nutrient.key, nutritionView);
+        const stats = getNutrientStats(periodData, nutrient);
+
+        charts.extraNutrients.push(
+            createMacroThermometerChart(`${id}-chart`, periodData, nutrient.key, color, stats.avg,
+                getNutritionComparisonPoints(periodData, comparison, nutrient.key), nutrient),
+            createMacroGaugeChart(`${id}-gauge`, stats, nutritionView)
+        );
+
+        document.getElementById(`${id}-insight`).innerHTML = getNutrientInsight(parseFloat(stats.avg), nutrient);
+    });
 }
 
 // Initialize date range inputs with data bounds
 const MIN_ALLOWED_DATE = "2025-12-01";
 let nutritionDatePicker = null;
 let metricsDatePicker = null;
+let applyPickerRange = null; // Set by initializeDateRanges: (picker, 'nutrition' | 'metrics') => void
+
+// Select a range in the nutrition picker and redraw the section
+function applyNutritionRange(startDate, endDate, presetName = null) {
+    if (!nutritionDatePicker || !applyPickerRange) return;
+
+    // The picker drops dates outside its min/max, so clamp the range first
+    const today = formatDateToString(new Date());
+    const from = startDate < MIN_ALLOWED_DATE ? MIN_ALLOWED_DATE : startDate;
+    const to = endDate > today ? today : endDate;
+    if (from > to) return;
+
+    nutritionDatePicker.setDate([from, to], false);
+    nutritionDatePicker._activePresetName = presetName;
+    applyPickerRange(nutritionDatePicker, 'nutrition');
+}
 
 
 // Helper functions for date formatting
@@ -359,16 +1668,12 @@ function initializeDateRanges() {
                         start.setDate(now.getDate() - 13);
                         end = new Date();
                     } else if (btnInfo.range === 'current-week') {
-                        const day = now.getDay();
-                        const diff = now.getDate() - day + (day === 0 ? -6 : 1);
-                        start = new Date(now.setDate(diff));
+                        start = new Date(`${getPeriodRange(formatDateToString(now), 'week').start}T00:00:00`);
                         end = new Date();
                     } else if (btnInfo.range === 'last-week') {
-                        const day = now.getDay();
-                        const diff = now.getDate() - day + (day === 0 ? -13 : -6);
-                        start = new Date(now.setDate(diff));
-                        end = new Date(start);
-                        end.setDate(end.getDate() + 6);
+                        const lastWeek = getPeriodRange(shiftDate(formatDateToString(now), -7), 'week');
+                        start = new Date(`${lastWeek.start}T00:00:00`);
+                        end = new Date(`${lastWeek.end}T00:00:00`);
                     } else if (btnInfo.range === 'all') {
                         start = new Date(fullRange.min);
                         end = new Date(fullRange.max);
@@ -413,24 +1718,25 @@ function initializeDateRanges() {
             const startDate = formatDateToString(selectedDates[0]);
             const endDate = formatDateToString(selectedDates[1]);
 
+            const comparison = getComparison(type, { start: startDate, end: endDate });
+
             if (type === 'nutrition') {
                 updateLabel('nutritionDateRangeText', 'nutritionDaysCount', startDate, endDate, instance._activePresetName);
 
                 const filteredData = filterByDateRange(kbjuData, startDate, endDate);
-                updateKBJUCharts(filteredData);
-                updateMacroCharts(filteredData);
+                updateKBJUCharts(filteredData, comparison);
+                updateMacroCharts(filteredData, comparison);
             } else if (type === 'metrics') {
                 updateLabel('metricsDateRangeText', 'metricsDaysCount', startDate, endDate, instance._activePresetName);
                 const filteredData = filterByDateRange(weightData, startDate, endDate);
-                const weeklyAverages = getWeeklyAverages(filteredData);
-                if (charts.weight) charts.weight.destroy();
-                if (charts.bmi) charts.bmi.destroy();
-                charts.weight = createWeightChart(weeklyAverages, filteredData);
-                charts.bmi = createBMIChart(weeklyAverages, filteredData);
+                updateWeightCharts(filteredData, comparison);
+                updateBodyCharts(startDate, endDate);
             }
         }
     };
 
+    applyPickerRange = handleApply;
+
     nutritionDatePicker = flatpickr('#nutritionDateRange', {
         mode: 'range',
         dateFormat: 'Y-m-d',
@@ -478,37 +1784,142 @@ function initializeDateRanges() {
         handleApply(metricsDatePicker, 'metrics');
     };
 
-    // Global Nutrition View Toggle Handler
-    const globalToggle = document.getElementById('globalNutritionToggle');
-    if (globalToggle) {
-        globalToggle.querySelectorAll('.view-btn').forEach(btn => {
+    // Comparison mode: a second range per section, overlaid on the charts by day offset
+    [
+        { type: 'nutrition', picker: nutritionDatePicker },
+        { type: 'metrics', picker: metricsDatePicker }
+    ].forEach(({ type, picker }) => {
+        if (comparisonPickers[type]) comparisonPickers[type].destroy();
+        comparisonRanges[type] = null;
+
+        const toggleBtn = document.getElementById(`${type}CompareBtn`);
+        const rangeBtn = document.getElementById(`${type}CompareRangeBtn`);
+        const showComparisonRange = () => {
+            const range = comparisonRanges[type];
+            toggleBtn.classList.toggle('active', !!range);
+            rangeBtn.style.display = range ? '' : 'none';
+            if (range) {
+                document.getElementById(`${type}CompareRangeText`).textContent =
+                    `${formatDisplayDate(range.start)} — ${formatDisplayDate(range.end)}`;
+            }
+        };
+
+        comparisonPickers[type] = flatpickr(`#${type}CompareRange`, {
+            mode: 'range',
+            dateFormat: 'Y-m-d',
+            minDate: MIN_ALLOWED_DATE,
+            maxDate: new Date(),
+            locale: 'ru',
+            onChange: (selectedDates, dateStr, instance) => {
+                if (selectedDates.length !== 2) return;
+                comparisonRanges[type] = {
+                    start: formatDateToString(selectedDates[0]),
+                    end: formatDateToString(selectedDates[1])
+                };
+                showComparisonRange();
+                handleApply(picker, type);
+                instance.close();
+            }
+        });
+        showComparisonRange();
+
+        rangeBtn.onclick = () => comparisonPickers[type].open();
+        toggleBtn.onclick = () => {
+            if (comparisonRanges[type]) {
+                comparisonRanges[type] = null;
+            } else if (picker.selectedDates.length === 2) {
+                // Start with the period of the same length right before the selected one
+                const start = formatDateToString(picker.selectedDates[0]);
+                const end = formatDateToString(picker.selectedDates[1]);
+                const length = getDaysBetween(start, end) + 1;
+                comparisonRanges[type] = { start: shiftDate(start, -length), end: shiftDate(start, -1) };
+                comparisonPickers[type].setDate([comparisonRanges[type].start, comparisonRanges[type].end], false);
+            }
+            showComparisonRange();
+            handleApply(picker, type);
+        };
+    });
+
+    // Aggregation toggles: nutrition section and weight/BMI section
+    const periodToggles = [
+        { id: 'globalNutritionToggle', type: 'nutrition', picker: nutritionDatePicker },
+        { id: 'metricsViewToggle', type: 'metrics', picker: metricsDatePicker }
+    ];
+    periodToggles.forEach(({ id, type, picker }) => {
+        const toggle = document.getElementById(id);
+        if (!toggle) return;
+
+        toggle.querySelectorAll('.view-btn').forEach(btn => {
             btn.onclick = (e) => {
                 e.preventDefault();
                 const view = btn.getAttribute('data-view');
-                if (nutritionView === view) return;
+                if ((type === 'nutrition' ? nutritionView : metricsView) === view) return;
 
-                nutritionView = view;
-                globalToggle.querySelectorAll('.view-btn').forEach(b => b.classList.remove('active'));
+                if (type === 'nutrition') nutritionView = view;
+                else metricsView = view;
+                toggle.querySelectorAll('.view-btn').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
 
-                // Refresh all nutrition charts
-                const selectedDates = nutritionDatePicker.selectedDates;
-                const startDate = formatDateToString(selectedDates[0]);
-                const endDate = formatDateToString(selectedDates[1]);
-                const filteredData = filterByDateRange(kbjuData, startDate, endDate);
-
-                updateKBJUCharts(filteredData);
-                updateMacroCharts(filteredData);
+                // Refresh all charts of the section
+                handleApply(picker, type);
             };
         });
-    }
+    });
 }
 
+// Calendar heatmap handlers
+document.querySelectorAll('#heatmapLayerToggle .view-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        heatmapState.layer = btn.dataset.layer;
+        document.querySelectorAll('#heatmapLayerToggle .view-btn').forEach(b => b.classList.toggle('active', b === btn));
+        renderCalendarHeatmap();
+    });
+});
+document.querySelectorAll('#heatmapModeToggle .view-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        heatmapState.mode = btn.dataset.mode;
+        document.querySelectorAll('#heatmapModeToggle .view-btn').forEach(b => b.classList.toggle('active', b === btn));
+        renderCalendarHeatmap();
+    });
+});
+document.getElementById('heatmapPrev').addEventListener('click', () => shiftHeatmapAnchor(-1));
+document.getElementById('heatmapNext').addEventListener('click', () => shiftHeatmapAnchor(1));
+
 // Settings modal handlers
 document.getElementById('openSettings').addEventListener('click', openSettingsPanel);
 document.getElementById('closeSettings').addEventListener('click', closeSettingsPanel);
 document.getElementById('cancelSettings').addEventListener('click', closeSettingsPanel);
 document.getElementById('saveSettings').addEventListener('click', handleSaveSettings);
+document.getElementById('rescaleZonesFromTdee').addEventListener('click', (e) => {
+    e.preventDefault();
+    handleRescaleZonesFromTdee();
+});
+document.getElementById('addScheduleOverride').addEventListener('click', (e) => {
+    e.preventDefault();
+    addScheduleOverrideRow();
+});
+document.getElementById('addExtraNutrient').addEventListener('click', (e) => {
+    e.preventDefault();
+    const key = document.getElementById('extraNutrientPreset').value;
+    addExtraNutrientRow(key ? { key, ...NUTRIENT_PRESETS[key] } : { direction: 'max' });
+});
+document.getElementById('addProfile').addEventListener('click', (e) => {
+    e.preventDefault();
+    handleAddProfile();
+});
+document.getElementById('deleteProfile').addEventListener('click', (e) => {
+    e.preventDefault();
+    handleDeleteProfile();
+});
+document.getElementById('profileSelect').addEventListener('change', (e) => {
+    handleProfileSwitch(e.target.value);
+});
+document.getElementById('addHeightEntry').addEventListener('click', (e) => {
+    e.preventDefault();
+    addHeightHistoryRow(formatDateToString(new Date()), getHeightOnDate());
+});
 
 // Close modal on overlay click
 settingsModal.addEventListener('click', (e) => {
@@ -517,12 +1928,47 @@ settingsModal.addEventListener('click', (e) => {
     }
 });
 
+// Quick add modal handlers
+document.getElementById('openQuickAdd').addEventListener('click', () => openQuickAddPanel());
+document.getElementById('closeQuickAdd').addEventListener('click', closeQuickAddPanel);
+document.getElementById('cancelQuickAdd').addEventListener('click', closeQuickAddPanel);
+document.getElementById('saveQuickAdd').addEventListener('click', handleQuickAdd);
+quickAddModal.addEventListener('click', (e) => {
+    if (e.target === quickAddModal) {
+        closeQuickAddPanel();
+    }
+});
+
+// Food diary modal handlers
+document.getElementById('closeFoodDiary').addEventListener('click', closeFoodDiary);
+foodDiaryModal.addEventListener('click', (e) => {
+    if (e.target === foodDiaryModal) {
+        closeFoodDiary();
+    }
+});
+
 // Close modal on Escape key
 document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape' && settingsModal.classList.contains('active')) {
         closeSettingsPanel();
     }
+    if (e.key === 'Escape' && foodDiaryModal.classList.contains('active')) {
+        closeFoodDiary();
+    }
+    if (e.key === 'Escape' && quickAddModal.classList.contains('active')) {
+        closeQuickAddPanel();
+    }
+    if (e.key === 'Escape') {
+        closePointMenu();
+    }
+});
+document.addEventListener('click', (e) => {
+    if (!e.target.closest('#pointMenu')) closePointMenu();
 });
+window.addEventListener('scroll', closePointMenu);
 
 // Initialize on DOM load
-document.addEventListener('DOMContentLoaded', initDashboard);
+document.addEventListener('DOMContentLoaded', () => {
+    renderProfileSwitcher();
+    initDashboard();
+});
@@ -16,6 +16,8 @@ const commonOptions = {
     }
 };
 
+const POINT_MENU_HINT = 'ПКМ — изменить или удалить'; // Tooltip footer of points with the edit / delete menu
+
 const zoneLabels = {
     unhealthyDeficit: 'Нездоровый дефицит',
     fastLoss: 'Быстрое похудение',
@@ -48,6 +50,70 @@ function createHatchPattern(bgColor, hatchColor = 'rgba(255, 255, 255, 0.25)') {
     return ctx.createPattern(canvas, 'repeat');
 }
 
+// Short names for target changes in chart annotations
+const targetChangeLabels = {
+    proteins: (v) => `Б ${v} г`,
+    fats: (v) => `Ж ${v} г`,
+    carbs: (v) => `У ${v} г`,
+    calorieZones: () => 'зоны',
+    schedule: () => 'расписание'
+};
+
+// Vertical annotations where targets changed (see getTargetChanges)
+// keys: which target fields are relevant for the chart
+function createTargetChangesPlugin(data, keys) {
+    const itemStart = (d) => d.isAggregated ? d.start : d.date;
+
+    const marks = getTargetChanges()
+        .map(change => {
+            const relevant = change.changes.filter(c => keys.includes(c.key));
+            if (relevant.length === 0) return null;
+
+            // First point whose period ends on or after the change
+            const index = data.findIndex(d => d.date >= change.date);
+            if (index === -1 || (index === 0 && itemStart(data[0]) > change.date)) return null;
+
+            return {
+                index,
+                label: relevant.map(c => targetChangeLabels[c.key](c.to)).join(', ')
+            };
+        })
+        .filter(Boolean);
+
+    return {
+        id: 'targetChanges',
+        afterDatasetsDraw(chart) {
+            if (marks.length === 0) return;
+            const { ctx, chartArea: { left, top, bottom }, scales: { x } } = chart;
+            const step = data.length > 1 ? x.getPixelForValue(1) - x.getPixelForValue(0) : 0;
+
+            ctx.save();
+            ctx.setLineDash([3, 3]);
+            ctx.lineWidth = 1;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            ctx.font = '500 10px Roboto, sans-serif';
+            ctx.textBaseline = 'top';
+
+            marks.forEach(mark => {
+                const xLine = Math.max(left, x.getPixelForValue(mark.index) - step / 2);
+                ctx.beginPath();
+                ctx.moveTo(xLine, top);
+                ctx.lineTo(xLine, bottom);
+                ctx.stroke();
+                ctx.fillText(`🎯 ${mark.label}`, xLine + 4, top + 2);
+            });
+            ctx.restore();
+        }
+    };
+}
+
+// Datasets drawn without value labels on weight/BMI charts
+const unlabeledDatasets = [
+    'Цель по BMI', 'Дневной вес', 'Дневной BMI', 'Тренд веса', 'Тренд BMI',
+    'Цель по весу', 'Прогноз', 'Прогноз (мин)', 'Прогноз (макс)', 'Сравнение'
+];
+
 const pointLabelsPlugin = {
     id: 'pointLabels',
     afterDatasetsDraw(chart) {
@@ -58,8 +124,8 @@ const pointLabelsPlugin = {
         ctx.textBaseline = 'bottom';
 
         chart.data.datasets.forEach((dataset, i) => {
-            // Only show labels for primary data (Weight/BMI), ignore targets
-            if (dataset.label === 'Цель по BMI' || dataset.label === 'Дневной вес' || dataset.label === 'Дневной BMI') return;
+            // Only show labels for primary data (Weight/BMI), ignore targets, trend lines and forecast
+            if (unlabeledDatasets.includes(dataset.label) || dataset.hideValueLabels) return;
 
             const meta = chart.getDatasetMeta(i);
 
@@ -88,18 +154,36 @@ const formatNumber = (val) => {
     return val.toString().replace(/\B(?=(\d{3})+(?!\d))/g, " ");
 };
 
-// Start Helper: Ensure incomplete week dates are present
-function ensureCompleteWeek(dates, weeklyData) {
-    const lastWeek = weeklyData[weeklyData.length - 1];
-    if (lastWeek && lastWeek.isIncomplete) {
-        const sunday = new Date(lastWeek.fullDate);
-        // Add previous 6 days (Mon-Sat)
-        for (let i = 1; i < 7; i++) {
-            const d = new Date(sunday);
-            d.setDate(sunday.getDate() - i);
-            const dStr = d.toISOString().split('T')[0];
-            if (!dates.includes(dStr)) {
-                dates.push(dStr);
+const monthNames = ['Январь', 'Февраль', 'Март', 'Апрель', 'Май', 'Июнь', 'Июль', 'Август', 'Сентябрь', 'Октябрь', 'Ноябрь', 'Декабрь'];
+const monthNamesGenitive = ['января', 'февраля', 'марта', 'апреля', 'мая', 'июня', 'июля', 'августа', 'сентября', 'октября', 'ноября', 'декабря'];
+const quarterNames = ['I', 'II', 'III', 'IV'];
+
+// Tooltip title for a chart item: a day, or the bucket of an aggregated item
+function formatItemTitle(d) {
+    const [year, month, day] = d.date.split('-').map(Number);
+    const f = (dateStr) => `${parseInt(dateStr.slice(8), 10)}.${dateStr.slice(5, 7)}`;
+
+    if (!d.isAggregated) return `${day} ${monthNamesGenitive[month - 1]}`;
+    if (d.period === 'month') return `${monthNames[month - 1]} ${year}`;
+    if (d.period === 'quarter') return `${quarterNames[Math.floor((month - 1) / 3)]} квартал ${year}`;
+    return `${d.period === 'twoWeeks' ? '2 недели' : 'Неделя'} с ${f(d.start)} по ${f(d.date)}`;
+}
+
+// X axis label for a bucket ending on dateStr
+function formatPeriodLabel(dateStr, period) {
+    const [year, month] = dateStr.split('-').map(Number);
+    if (period === 'month') return `${monthNames[month - 1].slice(0, 3)} ${year}`;
+    if (period === 'quarter') return `${quarterNames[Math.floor((month - 1) / 3)]} кв. ${year}`;
+    return formatDateDDMM(dateStr);
+}
+
+// Start Helper: Ensure all dates of an incomplete last bucket are present
+function ensureCompletePeriod(dates, periodData) {
+    const lastPeriod = periodData[periodData.length - 1];
+    if (lastPeriod && lastPeriod.isIncomplete) {
+        for (let d = lastPeriod.start; d < lastPeriod.fullDate; d = shiftDate(d, 1)) {
+            if (!dates.includes(d)) {
+                dates.push(d);
             }
         }
     }
@@ -109,7 +193,9 @@ function ensureCompleteWeek(dates, weeklyData) {
 
 
 // Weight Chart
-function createWeightChart(weeklyData, dailyData = []) {
+// periodData: getPeriodAverages() result; forecast: optional [{ date, value, lower, upper }] drawn past the last weigh-in
+// comparison: optional weigh-ins of a second range moved onto this range (see alignComparisonByOffset)
+function createWeightChart(periodData, dailyData = [], forecast = [], comparison = [], issues = {}) {
     const canvas = document.getElementById('weightChart');
     if (!canvas) return null;
 
@@ -118,10 +204,12 @@ function createWeightChart(weeklyData, dailyData = []) {
 
     const ctx = canvas.getContext('2d');
 
+    const period = periodData.length > 0 ? periodData[0].period : 'week';
+
     // Create maps for efficient lookup
-    const weeklyMap = {};
-    weeklyData.forEach(d => {
-        weeklyMap[d.fullDate] = {
+    const periodMap = {};
+    periodData.forEach(d => {
+        periodMap[d.fullDate] = {
             avg: d.avgWeight,
             incomplete: d.isIncomplete,
             category: d.calorieCategory,
@@ -130,28 +218,49 @@ function createWeightChart(weeklyData, dailyData = []) {
     });
 
     const dailyMap = {};
+    const trendMap = {};
     dailyData.forEach(d => {
         const w = parseFloat(d.weight);
         if (!isNaN(w) && w > 0) dailyMap[d.date] = w;
+        if (d.trend) trendMap[d.date] = d;
     });
 
     // Merge all unique dates from both sources to ensure all points appear
     let allDates = [...new Set([
         ...dailyData.map(d => d.date),
-        ...weeklyData.map(w => w.fullDate)
+        ...periodData.map(w => w.fullDate)
     ])];
 
-    allDates = ensureCompleteWeek(allDates, weeklyData);
+    allDates = ensureCompletePeriod(allDates, periodData);
+
+    // Trend of the comparison range, on the days of this range
+    const comparisonMap = {};
+    comparison.forEach(d => {
+        comparisonMap[d.date] = d;
+        if (!allDates.includes(d.date)) allDates.push(d.date);
+    });
+
+    // Extend the axis with projected dates
+    const forecastMap = {};
+    forecast.forEach(p => {
+        forecastMap[p.date] = p;
+        if (!allDates.includes(p.date)) allDates.push(p.date);
+    });
+    allDates.sort();
+
+    const goalWeight = forecast.length > 0 ? targets.goalWeight : null;
 
     // Calculate Y-axis bounds based on available weight data (strictly positive)
     const weights = dailyData.map(d => parseFloat(d.weight)).filter(w => !isNaN(w) && w > 0);
-    const weeklyWeights = weeklyData.map(d => parseFloat(d.avgWeight)).filter(w => !isNaN(w) && w > 0);
-    const allWeights = [...weights, ...weeklyWeights];
+    const periodWeights = periodData.map(d => parseFloat(d.avgWeight)).filter(w => !isNaN(w) && w > 0);
+    const forecastWeights = forecast.flatMap(p => [p.lower, p.upper]);
+    const comparisonWeights = comparison.map(d => d.trend || d.weight);
+    const allWeights = [...weights, ...periodWeights, ...forecastWeights, ...comparisonWeights];
 
     const dataMin = allWeights.length > 0 ? Math.min(...allWeights) : 70;
     const dataMax = allWeights.length > 0 ? Math.max(...allWeights) : 80;
 
-    const isIncompleteMap = allDates.map(d => weeklyMap[d] && weeklyMap[d].incomplete);
+    const isIncompleteMap = allDates.map(d => periodMap[d] && periodMap[d].incomplete);
 
     return new Chart(ctx, {
         type: 'line',
@@ -160,17 +269,18 @@ function createWeightChart(weeklyData, dailyData = []) {
             datasets: [
                 {
                     label: 'Средний вес',
-                    data: allDates.map(d => weeklyMap[d] ? parseFloat(weeklyMap[d].avg) : null),
+                    data: allDates.map(d => periodMap[d] ? parseFloat(periodMap[d].avg) : null),
                     isIncompleteMap: isIncompleteMap,
+                    hideValueLabels: period === 'day', // Too dense to label every day
                     borderColor: colors.primary,
                     backgroundColor: 'transparent',
                     borderWidth: 3,
                     tension: 0.4,
                     fill: false,
-                    pointRadius: 6,
+                    pointRadius: period === 'day' ? 3 : 6,
                     pointBackgroundColor: (ctx) => {
                         const dateStr = allDates[ctx.dataIndex];
-                        const info = weeklyMap[dateStr];
+                        const info = periodMap[dateStr];
                         if (info && info.category) return colors.zones[info.category];
                         return info && info.incomplete ? '#718096' : colors.primary;
                     },
@@ -179,7 +289,7 @@ function createWeightChart(weeklyData, dailyData = []) {
                     pointHoverRadius: 6,
                     pointHoverBackgroundColor: (ctx) => {
                         const dateStr = allDates[ctx.dataIndex];
-                        const info = weeklyMap[dateStr];
+                        const info = periodMap[dateStr];
                         if (info && info.category) return colors.zones[info.category];
                         return info && info.incomplete ? '#718096' : colors.primary;
                     },
@@ -188,7 +298,7 @@ function createWeightChart(weeklyData, dailyData = []) {
                     segment: {
                         borderColor: (ctx) => {
                             const dateStr = allDates[ctx.p1DataIndex];
-                            const info = weeklyMap[dateStr];
+                            const info = periodMap[dateStr];
                             if (info && info.category) return colors.zones[info.category];
                             return info && info.incomplete ? '#718096' : colors.primary;
                         },
@@ -198,6 +308,7 @@ function createWeightChart(weeklyData, dailyData = []) {
                 {
                     label: 'Дневной вес',
                     data: allDates.map(d => dailyMap[d] !== undefined ? parseFloat(dailyMap[d]) : null),
+                    pointDates: allDates, // Date of each point, for the edit / delete menu (see attachPointMenu)
                     borderColor: 'rgba(160, 174, 192, 0.15)', // Even more transparent gray
                     borderWidth: 2,
                     tension: 0.4,
@@ -208,6 +319,96 @@ function createWeightChart(weeklyData, dailyData = []) {
                     fill: false,
                     spanGaps: true,
                     order: 2
+                },
+                {
+                    label: 'Тренд веса',
+                    data: allDates.map(d => trendMap[d] ? trendMap[d].trend : null),
+                    borderColor: colors.trend,
+                    borderWidth: 2,
+                    tension: 0.3,
+                    pointRadius: 0,
+                    pointHoverRadius: 4,
+                    pointHitRadius: 6,
+                    pointHoverBackgroundColor: colors.trend,
+                    fill: false,
+                    spanGaps: true,
+                    order: 0
+                },
+                {
+                    label: 'Прогноз',
+                    data: allDates.map(d => forecastMap[d] ? forecastMap[d].value : null),
+                    borderColor: colors.trend,
+                    borderDash: [6, 4],
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    pointHoverRadius: 4,
+                    pointHitRadius: 6,
+                    pointHoverBackgroundColor: colors.trend,
+                    fill: false,
+                    spanGaps: true,
+                    order: 0
+                },
+                {
+                    label: 'Прогноз (мин)',
+                    data: allDates.map(d => forecastMap[d] ? forecastMap[d].lower : null),
+                    borderColor: 'transparent',
+                    pointRadius: 0,
+                    pointHoverRadius: 0,
+                    pointHitRadius: 0,
+                    fill: false,
+                    spanGaps: true,
+                    order: 4
+                },
+                {
+                    label: 'Прогноз (макс)',
+                    data: allDates.map(d => forecastMap[d] ? forecastMap[d].upper : null),
+                    borderColor: 'transparent',
+                    backgroundColor: 'rgba(168, 85, 247, 0.12)',
+                    pointRadius: 0,
+                    pointHoverRadius: 0,
+                    pointHitRadius: 0,
+                    fill: '-1', // Band between lower and upper bounds
+                    spanGaps: true,
+                    order: 4
+                },
+                {
+                    label: 'Цель по весу',
+                    data: allDates.map(d => goalWeight && forecastMap[d] ? goalWeight : null),
+                    borderColor: colors.targetLine,
+                    borderDash: [8, 4],
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    pointHoverRadius: 0,
+                    pointHitRadius: 0,
+                    fill: false,
+                    order: 3
+                },
+                {
+                    label: 'Сравнение',
+                    data: allDates.map(d => comparisonMap[d] ? (comparisonMap[d].trend || comparisonMap[d].weight) : null),
+                    borderColor: colors.comparison,
+                    borderDash: [5, 4],
+                    borderWidth: 2,
+                    tension: 0.3,
+                    pointRadius: 0,
+                    pointHoverRadius: 4,
+                    pointHitRadius: 6,
+                    pointHoverBackgroundColor: colors.comparison,
+                    fill: false,
+                    spanGaps: true,
+                    order: 0
+                },
+                {
+                    label: 'Проверить',
+                    data: allDates.map(d => issues[d] && dailyMap[d] !== undefined ? dailyMap[d] : null),
+                    showLine: false,
+                    pointStyle: 'triangle',
+                    pointRadius: 7,
+                    pointHoverRadius: 8,
+                    pointBackgroundColor: colors.warning,
+                    pointBorderColor: '#1a1a2e',
+                    pointBorderWidth: 1,
+                    order: -1
                 }
             ]
         },
@@ -241,12 +442,14 @@ function createWeightChart(weeklyData, dailyData = []) {
                         display: false
                     },
                     ticks: {
-                        // Only show labels for entries that correspond to weekly averages (Sundays)
+                        // Only show labels for entries that correspond to bucket averages (bucket ends)
+                        // and for bucket ends of the projection; daily buckets are thinned out automatically
                         callback: function (val, index) {
                             const dateStr = allDates[index];
-                            return weeklyMap[dateStr] ? this.getLabelForValue(val) : '';
+                            const isForecastEnd = forecastMap[dateStr] && getPeriodRange(dateStr, period).end === dateStr;
+                            return period === 'day' || periodMap[dateStr] || isForecastEnd ? formatPeriodLabel(dateStr, period) : '';
                         },
-                        autoSkip: false,
+                        autoSkip: period === 'day',
                         maxRotation: 0
                     }
                 }
@@ -270,12 +473,48 @@ function createWeightChart(weeklyData, dailyData = []) {
                     usePointStyle: true,
                     boxPadding: 4,
                     padding: 12,
-                    filter: (tooltipItem) => tooltipItem.datasetIndex === 0, // Only weekly average
+                    filter: (tooltipItem) => [0, 2, 3, 7, 8].includes(tooltipItem.datasetIndex), // Bucket average, trend, forecast, comparison and data issues
                     callbacks: {
-                        title: () => '', // No title
+                        title: (items) => {
+                            // Trend, forecast and flagged points get a date title, bucket averages stay untitled
+                            const item = items.find(i => [2, 3, 8].includes(i.datasetIndex));
+                            return item ? formatDateDDMM(allDates[item.dataIndex]) : '';
+                        },
                         label: (context) => {
                             const dateStr = allDates[context.dataIndex];
-                            const info = weeklyMap[dateStr];
+
+                            if (context.datasetIndex === 8) {
+                                return (issues[dateStr] || []).map(issue => `⚠️ ${issue.message}`);
+                            }
+
+                            if (context.datasetIndex === 7) {
+                                const c = comparisonMap[dateStr];
+                                if (!c) return '';
+                                return `Сравнение (${formatDateDDMM(c.sourceDate)}): ${context.raw.toFixed(1)} кг`;
+                            }
+
+                            if (context.datasetIndex === 3) {
+                                const p = forecastMap[dateStr];
+                                if (!p) return '';
+                                return [
+                                    `Прогноз: ${p.value.toFixed(1)} кг`,
+                                    `Диапазон: ${p.lower.toFixed(1)}–${p.upper.toFixed(1)} кг`
+                                ];
+                            }
+
+                            if (context.datasetIndex === 2) {
+                                const trendInfo = trendMap[dateStr];
+                                if (!trendInfo) return '';
+                                const scaleStr = dailyMap[dateStr] !== undefined ? `Весы: ${dailyMap[dateStr].toFixed(1)} кг` : '';
+                                const rateStr = formatTrendRate(trendInfo);
+                                return [
+                                    `Тренд: ${trendInfo.trend.toFixed(1)} кг`,
+                                    scaleStr,
+                                    rateStr ? `Темп: ${rateStr}` : ''
+                                ].filter(s => s !== '');
+                            }
+
+                            const info = periodMap[dateStr];
                             if (!info) return '';
 
                             const calStr = info.avgCalories ? `${formatNumber(info.avgCalories)} ккал` : '';
@@ -283,9 +522,22 @@ function createWeightChart(weeklyData, dailyData = []) {
 
                             return [zoneStr, calStr].filter(s => s !== '');
                         },
+                        footer: (items) => {
+                            const hasWeighIn = items.some(i => dailyMap[allDates[i.dataIndex]] !== undefined);
+                            return hasWeighIn ? POINT_MENU_HINT : '';
+                        },
                         labelColor: (context) => {
                             const dateStr = allDates[context.dataIndex];
-                            const info = weeklyMap[dateStr];
+                            const info = periodMap[dateStr];
+                            if (context.datasetIndex === 2 || context.datasetIndex === 3) {
+                                return { borderColor: 'transparent', backgroundColor: colors.trend, borderWidth: 0, borderRadius: 5 };
+                            }
+                            if (context.datasetIndex === 7) {
+                                return { borderColor: 'transparent', backgroundColor: colors.comparison, borderWidth: 0, borderRadius: 5 };
+                            }
+                            if (context.datasetIndex === 8) {
+                                return { borderColor: 'transparent', backgroundColor: colors.warning, borderWidth: 0, borderRadius: 5 };
+                            }
                             const color = (info && info.category) ? colors.zones[info.category] : colors.primary;
                             return {
                                 borderColor: 'transparent',
@@ -303,7 +555,7 @@ function createWeightChart(weeklyData, dailyData = []) {
 }
 
 // BMI Chart
-function createBMIChart(weeklyData, dailyData = []) {
+function createBMIChart(periodData, dailyData = []) {
     const canvas = document.getElementById('bmiChart');
     if (!canvas) return null;
 
@@ -312,10 +564,12 @@ function createBMIChart(weeklyData, dailyData = []) {
 
     const ctx = canvas.getContext('2d');
 
+    const period = periodData.length > 0 ? periodData[0].period : 'week';
+
     // Create maps for efficient lookup
-    const weeklyMap = {};
-    weeklyData.forEach(d => {
-        weeklyMap[d.fullDate] = {
+    const periodMap = {};
+    periodData.forEach(d => {
+        periodMap[d.fullDate] = {
             avg: d.avgBmi,
             incomplete: d.isIncomplete,
             category: d.calorieCategory,
@@ -324,28 +578,30 @@ function createBMIChart(weeklyData, dailyData = []) {
     });
 
     const dailyMap = {};
+    const trendMap = {};
     dailyData.forEach(d => {
         const b = parseFloat(d.bmi);
         if (!isNaN(b) && b > 0) dailyMap[d.date] = b;
+        if (d.trendBmi) trendMap[d.date] = d;
     });
 
     // Merge all unique dates
     let allDates = [...new Set([
         ...dailyData.map(d => d.date),
-        ...weeklyData.map(w => w.fullDate)
+        ...periodData.map(w => w.fullDate)
     ])];
 
-    allDates = ensureCompleteWeek(allDates, weeklyData);
+    allDates = ensureCompletePeriod(allDates, periodData);
 
     // Calculate Y-axis bounds (strictly positive)
     const bmis = dailyData.map(d => parseFloat(d.bmi)).filter(b => !isNaN(b) && b > 0);
-    const weeklyBmis = weeklyData.map(d => parseFloat(d.avgBmi)).filter(b => !isNaN(b) && b > 0);
-    const allBmis = [...bmis, ...weeklyBmis, targets.bmi];
+    const periodBmis = periodData.map(d => parseFloat(d.avgBmi)).filter(b => !isNaN(b) && b > 0);
+    const allBmis = [...bmis, ...periodBmis, targets.bmi];
 
     const dataMin = allBmis.length > 0 ? Math.min(...allBmis) : 23;
     const dataMax = allBmis.length > 0 ? Math.max(...allBmis) : 27;
 
-    const isIncompleteMap = allDates.map(d => weeklyMap[d] && weeklyMap[d].incomplete);
+    const isIncompleteMap = allDates.map(d => periodMap[d] && periodMap[d].incomplete);
 
     return new Chart(ctx, {
         type: 'line',
@@ -354,17 +610,18 @@ function createBMIChart(weeklyData, dailyData = []) {
             datasets: [
                 {
                     label: 'Средний BMI',
-                    data: allDates.map(d => weeklyMap[d] ? parseFloat(weeklyMap[d].avg) : null),
+                    data: allDates.map(d => periodMap[d] ? parseFloat(periodMap[d].avg) : null),
                     isIncompleteMap: isIncompleteMap,
+                    hideValueLabels: period === 'day', // Too dense to label every day
                     borderColor: colors.primary,
                     backgroundColor: 'transparent',
                     borderWidth: 3,
                     tension: 0.4,
                     fill: false,
-                    pointRadius: 6,
+                    pointRadius: period === 'day' ? 3 : 6,
                     pointBackgroundColor: (ctx) => {
                         const dateStr = allDates[ctx.dataIndex];
-                        const info = weeklyMap[dateStr];
+                        const info = periodMap[dateStr];
                         if (info && info.category) return colors.zones[info.category];
                         return info && info.incomplete ? '#718096' : colors.primary;
                     },
@@ -373,7 +630,7 @@ function createBMIChart(weeklyData, dailyData = []) {
                     pointHoverRadius: 6,
                     pointHoverBackgroundColor: (ctx) => {
                         const dateStr = allDates[ctx.dataIndex];
-                        const info = weeklyMap[dateStr];
+                        const info = periodMap[dateStr];
                         if (info && info.category) return colors.zones[info.category];
                         return info && info.incomplete ? '#718096' : colors.primary;
                     },
@@ -382,7 +639,7 @@ function createBMIChart(weeklyData, dailyData = []) {
                     segment: {
                         borderColor: (ctx) => {
                             const dateStr = allDates[ctx.p1DataIndex];
-                            const info = weeklyMap[dateStr];
+                            const info = periodMap[dateStr];
                             if (info && info.category) return colors.zones[info.category];
                             return info && info.incomplete ? '#718096' : colors.primary;
                         },
@@ -412,6 +669,20 @@ function createBMIChart(weeklyData, dailyData = []) {
                     pointRadius: 0,
                     fill: false,
                     order: 2
+                },
+                {
+                    label: 'Тренд BMI',
+                    data: allDates.map(d => trendMap[d] ? trendMap[d].trendBmi : null),
+                    borderColor: colors.trend,
+                    borderWidth: 2,
+                    tension: 0.3,
+                    pointRadius: 0,
+                    pointHoverRadius: 4,
+                    pointHitRadius: 6,
+                    pointHoverBackgroundColor: colors.trend,
+                    fill: false,
+                    spanGaps: true,
+                    order: 0
                 }
             ]
         },
@@ -444,9 +715,9 @@ function createBMIChart(weeklyData, dailyData = []) {
                     ticks: {
                         callback: function (val, index) {
                             const dateStr = allDates[index];
-                            return weeklyMap[dateStr] ? this.getLabelForValue(val) : '';
+                            return period === 'day' || periodMap[dateStr] ? formatPeriodLabel(dateStr, period) : '';
                         },
-                        autoSkip: false,
+                        autoSkip: period === 'day',
                         maxRotation: 0
                     }
                 }
@@ -472,12 +743,29 @@ function createBMIChart(weeklyData, dailyData = []) {
                     usePointStyle: true,
                     boxPadding: 4,
                     padding: 12,
-                    filter: (tooltipItem) => tooltipItem.datasetIndex === 0, // Only weekly average
+                    filter: (tooltipItem) => tooltipItem.datasetIndex === 0 || tooltipItem.datasetIndex === 3, // Weekly average and trend
                     callbacks: {
-                        title: () => '', // No title
+                        title: (items) => {
+                            // Trend points get a date title, bucket averages stay untitled
+                            const item = items.find(i => i.datasetIndex === 3);
+                            return item ? formatDateDDMM(allDates[item.dataIndex]) : '';
+                        },
                         label: (context) => {
                             const dateStr = allDates[context.dataIndex];
-                            const info = weeklyMap[dateStr];
+
+                            if (context.datasetIndex === 3) {
+                                const trendInfo = trendMap[dateStr];
+                                if (!trendInfo) return '';
+                                const scaleStr = dailyMap[dateStr] !== undefined ? `По весам: ${dailyMap[dateStr].toFixed(1)}` : '';
+                                const rateStr = formatTrendRate(trendInfo);
+                                return [
+                                    `Тренд: ${trendInfo.trendBmi.toFixed(1)} (${trendInfo.trend.toFixed(1)} кг)`,
+                                    scaleStr,
+                                    rateStr ? `Темп: ${rateStr}` : ''
+                                ].filter(s => s !== '');
+                            }
+
+                            const info = periodMap[dateStr];
                             if (!info) return '';
 
                             const calStr = info.avgCalories ? `${formatNumber(info.avgCalories)} ккал` : '';
@@ -487,7 +775,10 @@ function createBMIChart(weeklyData, dailyData = []) {
                         },
                         labelColor: (context) => {
                             const dateStr = allDates[context.dataIndex];
-                            const info = weeklyMap[dateStr];
+                            const info = periodMap[dateStr];
+                            if (context.datasetIndex === 3) {
+                                return { borderColor: 'transparent', backgroundColor: colors.trend, borderWidth: 0, borderRadius: 5 };
+                            }
                             const color = (info && info.category) ? colors.zones[info.category] : colors.primary;
                             return {
                                 borderColor: 'transparent',
@@ -505,7 +796,9 @@ function createBMIChart(weeklyData, dailyData = []) {
 }
 
 // Calorie Chart with full-width background zones and offset data points
-function createCalorieChart(data) {
+// onDayClick: optional callback(dateStr) for clicks on daily points
+// comparison: optional items of a second range matched to data (see getComparisonPoints)
+function createCalorieChart(data, onDayClick = null, comparison = null, issues = {}) {
     const canvas = document.getElementById('calorieChart');
     if (!canvas) return null;
 
@@ -513,7 +806,6 @@ function createCalorieChart(data) {
     if (existingChart) existingChart.destroy();
 
     const ctx = canvas.getContext('2d');
-    const zones = targets.calorieZones;
 
     // Calculate dynamic min/max
     const calories = data.map(d => d.calories).filter(c => c !== null);
@@ -533,8 +825,10 @@ function createCalorieChart(data) {
         `;
     }
 
-    const dataMin = calories.length > 0 ? Math.min(...calories) : 1700;
-    const dataMax = calories.length > 0 ? Math.max(...calories) : 2600;
+    const comparisonCalories = comparison ? comparison.map(c => c ? c.calories : null) : [];
+    const scaleValues = [...calories, ...comparisonCalories.filter(c => c !== null)];
+    const dataMin = scaleValues.length > 0 ? Math.min(...scaleValues) : 1700;
+    const dataMax = scaleValues.length > 0 ? Math.max(...scaleValues) : 2600;
 
     const baseMin = 1500;
     const baseMax = 2800;
@@ -546,42 +840,62 @@ function createCalorieChart(data) {
         ? Math.ceil((dataMax + 100) / 100) * 100
         : baseMax;
 
-    // Custom plugin for full-width background zones + right-side labels
+    // Data issues of each point (a period point collects the issues of all its days)
+    const pointIssues = data.map(d => Object.keys(issues)
+        .filter(date => date <= d.date && date >= (d.isAggregated ? d.start : d.date))
+        .flatMap(date => issues[date]));
+    const isFlagged = (ctx) => pointIssues[ctx.dataIndex] && pointIssues[ctx.dataIndex].length > 0;
+
+    // Zones that applied on each point's date (targets can change by weekday or date range)
+    const pointZones = data.map(d => getTargetsForItem(d).calorieZones);
+    const lastZones = pointZones.length > 0 ? pointZones[pointZones.length - 1] : targets.calorieZones;
+
+    // Custom plugin for background zones (one column per point) + right-side labels
     const calorieZonesPlugin = {
         id: 'calorieZones',
         beforeDatasetsDraw(chart) {
-            const { ctx, chartArea: { left, top, width, height }, scales: { y } } = chart;
-            const zones = targets.calorieZones;
-
-            const bands = [
-                { color: '#FF6B6B', top: zones.unhealthyDeficit, bottom: y.min },
-                { color: '#ABEBC6', top: zones.fastLoss, bottom: zones.unhealthyDeficit },
-                { color: '#27AE60', top: zones.healthyLoss, bottom: zones.fastLoss },
-                { color: '#ABEBC6', top: zones.slowLoss, bottom: zones.healthyLoss },
-                { color: '#FFB74D', top: zones.maintenance, bottom: zones.slowLoss },
-                { color: '#FF6B6B', top: y.max, bottom: zones.maintenance }
-            ];
+            const { ctx, chartArea: { left, right, top }, scales: { x, y } } = chart;
+            const count = pointZones.length;
+            const step = count > 1 ? x.getPixelForValue(1) - x.getPixelForValue(0) : right - left;
+            const columns = count > 0
+                ? pointZones.map((zones, i) => ({
+                    zones,
+                    left: i === 0 ? left : x.getPixelForValue(i) - step / 2,
+                    right: i === count - 1 ? right : x.getPixelForValue(i) + step / 2
+                }))
+                : [{ zones: targets.calorieZones, left, right }];
 
             ctx.save();
-            bands.forEach(band => {
-                const yTop = y.getPixelForValue(band.top);
-                const yBottom = y.getPixelForValue(band.bottom);
-
-                // Draw background rectangle (full chart width)
-                ctx.fillStyle = band.color;
-                const rectY = Math.max(top, Math.min(yTop, yBottom));
-                const rectHeight = Math.abs(yBottom - yTop);
-                // Ensure it doesn't spill over chartArea top/bottom bounds
-                const clampedHeight = Math.min(rectHeight, chart.chartArea.bottom - rectY);
-                if (clampedHeight > 0) {
-                    ctx.fillRect(left, rectY, width, clampedHeight);
-                }
+            columns.forEach(({ zones, left: colLeft, right: colRight }) => {
+                const bands = [
+                    { color: '#FF6B6B', top: zones.unhealthyDeficit, bottom: y.min },
+                    { color: '#ABEBC6', top: zones.fastLoss, bottom: zones.unhealthyDeficit },
+                    { color: '#27AE60', top: zones.healthyLoss, bottom: zones.fastLoss },
+                    { color: '#ABEBC6', top: zones.slowLoss, bottom: zones.healthyLoss },
+                    { color: '#FFB74D', top: zones.maintenance, bottom: zones.slowLoss },
+                    { color: '#FF6B6B', top: y.max, bottom: zones.maintenance }
+                ];
+
+                bands.forEach(band => {
+                    const yTop = y.getPixelForValue(band.top);
+                    const yBottom = y.getPixelForValue(band.bottom);
+
+                    // Draw background rectangle (column width)
+                    ctx.fillStyle = band.color;
+                    const rectY = Math.max(top, Math.min(yTop, yBottom));
+                    const rectHeight = Math.abs(yBottom - yTop);
+                    // Ensure it doesn't spill over chartArea top/bottom bounds
+                    const clampedHeight = Math.min(rectHeight, chart.chartArea.bottom - rectY);
+                    if (clampedHeight > 0) {
+                        ctx.fillRect(colLeft, rectY, colRight - colLeft, clampedHeight);
+                    }
+                });
             });
             ctx.restore();
         },
         afterDatasetsDraw(chart) {
             const { ctx, chartArea: { right }, scales: { y } } = chart;
-            const zones = targets.calorieZones;
+            const zones = lastZones;
             const labelSpecs = [
                 { label: 'Нездоровый дефицит', top: zones.unhealthyDeficit, bottom: y.min },
                 { label: 'Быстрое похудение', top: zones.fastLoss, bottom: zones.unhealthyDeficit },
@@ -613,29 +927,50 @@ function createCalorieChart(data) {
     return new Chart(ctx, {
         type: 'line',
         data: {
-            labels: data.map(d => {
-                const date = new Date(d.date);
-                return `${String(date.getDate()).padStart(2, '0')}.${String(date.getMonth() + 1).padStart(2, '0')}`;
-            }),
+            labels: data.map(d => formatPeriodLabel(d.date, d.isAggregated ? d.period : 'day')),
             datasets: [{
                 label: 'Калории',
                 data: calories,
+                pointDates: data.map(d => d.isAggregated ? null : d.date), // For the edit / delete menu
                 borderColor: '#fff',
                 backgroundColor: 'rgba(255, 255, 255, 0.2)', // Point background
                 borderWidth: 2,
-                pointBackgroundColor: '#fff',
+                pointBackgroundColor: (ctx) => isFlagged(ctx) ? colors.warning : '#fff',
                 pointBorderColor: '#16213e',
-                pointRadius: 4,
-                pointHoverRadius: 6,
+                pointStyle: (ctx) => isFlagged(ctx) ? 'triangle' : 'circle',
+                pointRadius: (ctx) => isFlagged(ctx) ? 7 : 4,
+                pointHoverRadius: (ctx) => isFlagged(ctx) ? 8 : 6,
                 tension: 0.3,
                 segment: {
                     borderDash: (ctx) => data[ctx.p1DataIndex] && data[ctx.p1DataIndex].isIncomplete ? [6, 4] : undefined
                 }
-            }]
+            }, ...(comparison ? [{
+                label: 'Сравнение',
+                data: comparisonCalories,
+                borderColor: colors.comparison,
+                backgroundColor: colors.comparison,
+                borderWidth: 2,
+                borderDash: [5, 4],
+                pointRadius: 3,
+                pointHoverRadius: 5,
+                pointBackgroundColor: colors.comparison,
+                tension: 0.3,
+                spanGaps: true
+            }] : [])]
         },
-        plugins: [calorieZonesPlugin],
+        plugins: [calorieZonesPlugin, createTargetChangesPlugin(data, ['calorieZones', 'schedule'])],
         options: {
             ...commonOptions,
+            onClick: (event, elements) => {
+                if (!onDayClick || elements.length === 0 || elements[0].datasetIndex !== 0) return;
+                const d = data[elements[0].index];
+                if (d && !d.isAggregated) onDayClick(d.date);
+            },
+            onHover: (event, elements) => {
+                const clickable = onDayClick && elements.length > 0 && elements[0].datasetIndex === 0 &&
+                    !data[elements[0].index].isAggregated;
+                event.native.target.style.cursor = clickable ? 'pointer' : 'default';
+            },
             layout: {
                 padding: {
                     right: 125
@@ -668,23 +1003,455 @@ function createCalorieChart(data) {
                     displayColors: false,
                     padding: 12,
                     callbacks: {
-                        title: (items) => {
-                            const d = data[items[0].dataIndex];
-                            const date = new Date(d.date);
-                            const months = ['января', 'февраля', 'марта', 'апреля', 'мая', 'июня', 'июля', 'августа', 'сентября', 'октября', 'ноября', 'декабря'];
-
-                            if (d.isWeekly) {
-                                const f = (dt) => `${dt.getDate()}.${String(dt.getMonth() + 1).padStart(2, '0')}`;
-                                const monday = new Date(date);
-                                monday.setDate(monday.getDate() - 6);
-                                return `Неделя с ${f(monday)} по ${f(date)}`;
-                            }
-                            return `${date.getDate()} ${months[date.getMonth()]}`;
-                        },
+                        title: (items) => formatItemTitle(data[items[0].dataIndex]),
                         label: (context) => {
+                            if (context.datasetIndex === 1) {
+                                const c = comparison[context.dataIndex];
+                                return `Сравнение (${formatItemTitle(c.sourceDate ? { ...c, date: c.sourceDate } : c)}): ${formatNumber(Math.round(context.raw))} ккал`;
+                            }
                             const d = data[context.dataIndex];
-                            const label = d.isWeekly ? 'Среднее: ' : '';
+                            const label = d.isAggregated ? 'Среднее: ' : '';
                             return `${label}${formatNumber(Math.round(context.raw))} ккал`;
+                        },
+                        afterLabel: (context) => {
+                            const d = data[context.dataIndex];
+                            if (context.datasetIndex !== 0) return '';
+                            const lines = pointIssues[context.dataIndex].map(issue =>
+                                d.isAggregated ? `⚠️ ${formatDateDDMM(issue.date)}: ${issue.message}` : `⚠️ ${issue.message}`);
+                            const entries = onDayClick && !d.isAggregated ? getFoodLogForDate(d.date).length : 0;
+                            if (entries > 0) lines.push(`🍽️ Записей в дневнике: ${entries}`);
+                            return lines;
+                        },
+                        footer: (items) => items.some(i => i.datasetIndex === 0 && !data[i.dataIndex].isAggregated) ? POINT_MENU_HINT : ''
+                    }
+                }
+            }
+        }
+    });
+}
+
+// TDEE Chart: estimated maintenance calories vs. average intake
+function createTDEEChart(history, formulaTdee = null) {
+    const canvas = document.getElementById('tdeeChart');
+    if (!canvas) return null;
+
+    const existingChart = Chart.getChart(canvas);
+    if (existingChart) existingChart.destroy();
+
+    const ctx = canvas.getContext('2d');
+
+    const datasets = [
+        {
+            label: 'Расход (TDEE)',
+            data: history.map(d => d.tdee),
+            borderColor: colors.primary,
+            backgroundColor: 'transparent',
+            borderWidth: 3,
+            tension: 0.3,
+            pointRadius: 0,
+            pointHoverRadius: 5,
+            pointHoverBackgroundColor: colors.primary,
+            order: 1
+        },
+        {
+            label: 'Потребление',
+            data: history.map(d => d.avgIntake),
+            borderColor: 'rgba(160, 174, 192, 0.5)',
+            borderDash: [6, 4],
+            borderWidth: 2,
+            tension: 0.3,
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            order: 2
+        }
+    ];
+
+    if (formulaTdee) {
+        datasets.push({
+            label: 'По формуле',
+            data: history.map(() => formulaTdee),
+            borderColor: colors.targetLine,
+            borderDash: [8, 4],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            order: 3
+        });
+    }
+
+    const values = datasets.flatMap(ds => ds.data).filter(v => v !== null);
+    const yMin = Math.floor((Math.min(...values) - 100) / 100) * 100;
+    const yMax = Math.ceil((Math.max(...values) + 100) / 100) * 100;
+
+    return new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: history.map(d => formatDateDDMM(d.date)),
+            datasets: datasets
+        },
+        options: {
+            ...commonOptions,
+            scales: {
+                y: {
+                    min: yMin,
+                    max: yMax,
+                    ticks: {
+                        callback: (value) => formatNumber(value)
+                    },
+                    grid: {
+                        color: 'rgba(255, 255, 255, 0.015)'
+                    }
+                },
+                x: {
+                    grid: {
+                        display: false
+                    },
+                    ticks: {
+                        maxRotation: 0,
+                        autoSkipPadding: 20
+                    }
+                }
+            },
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    backgroundColor: '#16213e',
+                    padding: 12,
+                    displayColors: false,
+                    filter: (tooltipItem) => tooltipItem.datasetIndex === 0,
+                    callbacks: {
+                        title: (items) => formatDateDDMM(history[items[0].dataIndex].date),
+                        label: (context) => {
+                            const d = history[context.dataIndex];
+                            const sign = d.weightChangePerWeek > 0 ? '+' : '';
+                            const lines = [
+                                `Расход: ~${formatNumber(d.tdee)} ккал`,
+                                `Потребление: ~${formatNumber(d.avgIntake)} ккал`,
+                                `Вес: ${sign}${d.weightChangePerWeek.toFixed(2)} кг/нед`
+                            ];
+                            if (formulaTdee) lines.push(`По формуле: ~${formatNumber(formulaTdee)} ккал`);
+                            return lines;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Shared line-chart options of the body measurement charts (dates on x, values on y)
+function bodyChartOptions(items, tooltipLabel, yOptions = {}) {
+    return {
+        ...commonOptions,
+        spanGaps: true,
+        scales: {
+            y: {
+                ...yOptions,
+                grid: {
+                    color: 'rgba(255, 255, 255, 0.015)'
+                }
+            },
+            x: {
+                grid: {
+                    display: false
+                },
+                ticks: {
+                    maxRotation: 0,
+                    autoSkipPadding: 20
+                }
+            }
+        },
+        interaction: {
+            mode: 'index',
+            intersect: false
+        },
+        plugins: {
+            legend: { display: false },
+            tooltip: {
+                backgroundColor: '#16213e',
+                padding: 12,
+                displayColors: false,
+                filter: (tooltipItem) => tooltipItem.datasetIndex === 0,
+                callbacks: {
+                    title: (tooltipItems) => formatDisplayDate(items[tooltipItems[0].dataIndex].date),
+                    label: (context) => tooltipLabel(items[context.dataIndex])
+                }
+            }
+        }
+    };
+}
+
+// Get (and clear) the canvas of a body chart; null if it is missing
+function getBodyChartContext(canvasId) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return null;
+
+    const existingChart = Chart.getChart(canvas);
+    if (existingChart) existingChart.destroy();
+
+    return canvas.getContext('2d');
+}
+
+const bodyFatSourceLabels = { measured: 'замер', navy: 'формула ВМС США' };
+
+// Lean vs fat mass (stacked, sums up to the weight) for items of getBodyComposition
+function createBodyCompositionChart(items) {
+    const ctx = getBodyChartContext('bodyCompositionChart');
+    if (!ctx) return null;
+
+    const data = items.filter(d => d.fatMass !== null);
+
+    return new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: data.map(d => formatDateDDMM(d.date)),
+            datasets: [
+                {
+                    label: 'Безжировая масса',
+                    data: data.map(d => d.leanMass),
+                    borderColor: colors.leanMass,
+                    backgroundColor: 'rgba(79, 172, 254, 0.25)',
+                    borderWidth: 2,
+                    tension: 0.3,
+                    fill: 'origin',
+                    pointRadius: 3,
+                    pointBackgroundColor: colors.leanMass
+                },
+                {
+                    label: 'Жировая масса',
+                    data: data.map(d => d.fatMass),
+                    borderColor: colors.fatMass,
+                    backgroundColor: 'rgba(255, 183, 77, 0.25)',
+                    borderWidth: 2,
+                    tension: 0.3,
+                    fill: '-1',
+                    pointRadius: 3,
+                    pointBackgroundColor: colors.fatMass
+                }
+            ]
+        },
+        options: bodyChartOptions(data, (d) => [
+            `Вес: ${d.weight.toFixed(1)} кг`,
+            `Безжировая масса: ${d.leanMass.toFixed(1)} кг`,
+            `Жировая масса: ${d.fatMass.toFixed(1)} кг`,
+            `Жир: ${(d.bodyFat !== null ? d.bodyFat : d.navyBodyFat).toFixed(1)}% (${bodyFatSourceLabels[d.bodyFatSource]})`
+        ], {
+            stacked: true,
+            beginAtZero: true,
+            ticks: {
+                callback: (value) => `${value} кг`
+            }
+        })
+    });
+}
+
+// Waist-to-height ratio with the WAIST_TO_HEIGHT_LIMIT reference line
+function createWaistToHeightChart(items) {
+    const ctx = getBodyChartContext('waistToHeightChart');
+    if (!ctx) return null;
+
+    const data = items.filter(d => d.waistToHeight !== null);
+    const values = data.map(d => d.waistToHeight);
+
+    return new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: data.map(d => formatDateDDMM(d.date)),
+            datasets: [
+                {
+                    label: 'Талия / рост',
+                    data: values,
+                    borderColor: colors.body.waist,
+                    backgroundColor: 'transparent',
+                    borderWidth: 3,
+                    tension: 0.3,
+                    pointRadius: 3,
+                    pointBackgroundColor: data.map(d => d.waistToHeight > WAIST_TO_HEIGHT_LIMIT ? colors.negative : colors.positive)
+                },
+                {
+                    label: 'Граница риска',
+                    data: data.map(() => WAIST_TO_HEIGHT_LIMIT),
+                    borderColor: colors.targetLine,
+                    borderDash: [8, 4],
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                    pointHoverRadius: 0
+                }
+            ]
+        },
+        options: bodyChartOptions(data, (d) => [
+            `Отношение: ${d.waistToHeight.toFixed(3)}`,
+            `Талия: ${d.waist} см`,
+            d.waistToHeight > WAIST_TO_HEIGHT_LIMIT ? `Выше ${WAIST_TO_HEIGHT_LIMIT} — повышенный риск` : `Не выше ${WAIST_TO_HEIGHT_LIMIT} — норма`
+        ], {
+            suggestedMin: Math.min(WAIST_TO_HEIGHT_LIMIT, ...values) - 0.02,
+            suggestedMax: Math.max(WAIST_TO_HEIGHT_LIMIT, ...values) + 0.02,
+            ticks: {
+                callback: (value) => value.toFixed(2)
+            }
+        })
+    });
+}
+
+// Body fat %: Navy formula from circumferences and measured values (scales, DEXA, calipers)
+function createBodyFatChart(items) {
+    const ctx = getBodyChartContext('bodyFatChart');
+    if (!ctx) return null;
+
+    const data = items.filter(d => d.navyBodyFat !== null || d.bodyFat !== null);
+
+    return new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: data.map(d => formatDateDDMM(d.date)),
+            datasets: [
+                {
+                    label: 'Формула ВМС США',
+                    data: data.map(d => d.navyBodyFat),
+                    borderColor: colors.trend,
+                    backgroundColor: 'transparent',
+                    borderWidth: 3,
+                    tension: 0.3,
+                    pointRadius: 3,
+                    pointBackgroundColor: colors.trend
+                },
+                {
+                    label: 'Замер',
+                    data: data.map(d => d.bodyFat),
+                    borderColor: colors.fatMass,
+                    backgroundColor: colors.fatMass,
+                    showLine: false,
+                    pointRadius: 4,
+                    pointStyle: 'rectRot'
+                }
+            ]
+        },
+        options: bodyChartOptions(data, (d) => {
+            const lines = [];
+            if (d.navyBodyFat !== null) lines.push(`По формуле ВМС США: ${d.navyBodyFat.toFixed(1)}%`);
+            if (d.bodyFat !== null) lines.push(`Замер: ${d.bodyFat.toFixed(1)}%`);
+            return lines;
+        }, {
+            ticks: {
+                callback: (value) => `${value}%`
+            }
+        })
+    });
+}
+
+// Circumferences over time, one line per BODY_MEASUREMENTS key that has values
+function createMeasurementsChart(items) {
+    const ctx = getBodyChartContext('measurementsChart');
+    if (!ctx) return null;
+
+    const keys = Object.keys(colors.body).filter(key => items.some(d => d[key] !== null));
+
+    return new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: items.map(d => formatDateDDMM(d.date)),
+            datasets: keys.map(key => ({
+                label: BODY_MEASUREMENTS[key].label,
+                data: items.map(d => d[key]),
+                borderColor: colors.body[key],
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                tension: 0.3,
+                pointRadius: 3,
+                pointBackgroundColor: colors.body[key]
+            }))
+        },
+        options: {
+            ...bodyChartOptions(items, () => [], {
+                ticks: {
+                    callback: (value) => `${value} см`
+                }
+            }),
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: { boxWidth: 12, color: '#a0aec0' }
+                },
+                tooltip: {
+                    backgroundColor: '#16213e',
+                    padding: 12,
+                    filter: (tooltipItem) => tooltipItem.parsed.y !== null,
+                    callbacks: {
+                        title: (tooltipItems) => formatDisplayDate(items[tooltipItems[0].dataIndex].date),
+                        label: (context) => `${context.dataset.label}: ${context.parsed.y} см`
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Weekday Chart: average calories per day of week (see getWeekdayBreakdown)
+function createWeekdayChart(breakdown) {
+    const canvas = document.getElementById('weekdayChart');
+    if (!canvas) return null;
+
+    const existingChart = Chart.getChart(canvas);
+    if (existingChart) existingChart.destroy();
+
+    const ctx = canvas.getContext('2d');
+    const weekdayNames = ['Понедельник', 'Вторник', 'Среда', 'Четверг', 'Пятница', 'Суббота', 'Воскресенье'];
+    const days = breakdown.days;
+
+    return new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'],
+            datasets: [{
+                label: 'Калории',
+                data: days.map(d => d.calories),
+                backgroundColor: days.map(d => d.calories !== null ? colors.zones[getCalorieCategory(d.calories)] : 'transparent'),
+                borderRadius: 6,
+                barPercentage: 0.7
+            }]
+        },
+        options: {
+            ...commonOptions,
+            scales: {
+                y: {
+                    beginAtZero: false,
+                    ticks: {
+                        callback: (value) => formatNumber(value)
+                    },
+                    grid: {
+                        color: 'rgba(255, 255, 255, 0.015)'
+                    }
+                },
+                x: {
+                    grid: {
+                        display: false
+                    }
+                }
+            },
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    backgroundColor: '#16213e',
+                    padding: 12,
+                    displayColors: false,
+                    callbacks: {
+                        title: (items) => weekdayNames[items[0].dataIndex],
+                        label: (context) => {
+                            const d = days[context.dataIndex];
+                            const macro = (value) => value !== null ? Math.round(value) : '—';
+                            const lines = [
+                                `Среднее: ${formatNumber(d.calories)} ккал (${d.count} дн.)`,
+                                `Б ${macro(d.proteins)} / Ж ${macro(d.fats)} / У ${macro(d.carbs)} г`
+                            ];
+                            if (d.balance !== null) {
+                                lines.push(`Баланс: ${d.balance > 0 ? '+' : ''}${formatNumber(d.balance)} ккал к расходу`);
+                            }
+                            return lines;
                         }
                     }
                 }
@@ -714,7 +1481,7 @@ function createDistributionChart(data) {
     };
 
     data.forEach(d => {
-        const cat = getCalorieCategory(d.calories);
+        const cat = getCalorieCategory(d.calories, d.date, d.isAggregated ? d.start : null);
         if (categories[cat] !== undefined) {
             categories[cat]++;
         }
@@ -868,7 +1635,10 @@ function createDistributionChart(data) {
 
 // Macro Line Chart
 // Macro Thermometer Chart (Stacked Bar)
-function createMacroThermometerChart(canvasId, data, macro, color, targetValue, averageValue = null) {
+// The target line follows the target that applied on each bar's date
+// comparison: optional items of a second range matched to data (see getComparisonPoints)
+// nutrient: extra nutrient settings ({ key, label, unit, direction, min, max }) when macro is not one of БЖУ
+function createMacroThermometerChart(canvasId, data, macro, color, averageValue = null, comparison = null, nutrient = null) {
     const canvas = document.getElementById(canvasId);
     if (!canvas) return null;
 
@@ -877,9 +1647,13 @@ function createMacroThermometerChart(canvasId, data, macro, color, targetValue,
 
     const ctx = canvas.getContext('2d');
 
+    // How bars are colored: 'min' (proteins), 'max' (fats), 'range' or 'plain' (carbs)
+    const mode = nutrient ? nutrient.direction : ({ proteins: 'min', fats: 'max' }[macro] || 'plain');
+    const unit = nutrient ? nutrient.unit : 'г';
+
     // Update title with average if provided
     if (averageValue !== null) {
-        const titleId = `${macro}ChartTitle`;
+        const titleId = nutrient ? `${canvasId}Title` : `${macro}ChartTitle`;
         const titleEl = document.getElementById(titleId);
 
         if (titleEl) {
@@ -890,30 +1664,37 @@ function createMacroThermometerChart(canvasId, data, macro, color, targetValue,
                 carbs: 'Углеводы'
             };
 
-            const baseTitle = titles[macro] || titleEl.textContent;
+            const baseTitle = titles[macro] || (nutrient ? escapeHtml(nutrient.label) : titleEl.textContent);
 
             titleEl.innerHTML = `
                 <div style="font-weight: 700;">${baseTitle}</div>
                 <div style="font-size: 13px; color: var(--text-muted); font-weight: 400; margin-top: 2px;">
-                    ~${formatNumber(Math.round(averageValue))} г
+                    ~${formatNumber(Math.round(averageValue))} ${unit}
                 </div>
             `;
         }
     }
 
-    const validData = data.filter(d => d[macro] !== null);
-    const labels = validData.map(d => {
-        const date = new Date(d.date);
-        return `${String(date.getDate()).padStart(2, '0')}.${String(date.getMonth() + 1).padStart(2, '0')}`;
-    });
+    const hasValue = (d) => d[macro] !== null && d[macro] !== undefined;
+    const validData = data.filter(hasValue);
+    const validComparison = comparison ? comparison.filter((c, i) => hasValue(data[i])) : null;
+    const comparisonValues = validComparison
+        ? validComparison.map(c => c && c[macro] !== null && c[macro] !== undefined ? c[macro] : null)
+        : [];
+    const labels = validData.map(d => formatPeriodLabel(d.date, d.isAggregated ? d.period : 'day'));
 
     // Calculate segments
     const s1 = [], s2 = [];
-    const target = targetValue || 0;
+    const itemTargets = nutrient
+        ? validData.map(() => (mode === 'max' ? nutrient.max : nutrient.min) || 0)
+        : validData.map(d => getTargetsForItem(d)[macro] || 0);
+    // Second target line: upper bound of a range
+    const upperTargets = mode === 'range' ? validData.map(() => nutrient.max) : [];
 
-    validData.forEach(d => {
+    validData.forEach((d, i) => {
         const val = d[macro];
-        if (macro === 'carbs') {
+        const target = itemTargets[i];
+        if (mode === 'plain' || mode === 'range') {
             s1.push(val);
             s2.push(0);
         } else {
@@ -927,44 +1708,55 @@ function createMacroThermometerChart(canvasId, data, macro, color, targetValue,
     });
 
     // Dynamic Y-axis Bounds Calculation
-    const allTotals = validData.map(d => d[macro]);
-    if (target) allTotals.push(target);
+    const allTotals = [...validData.map(d => d[macro]), ...itemTargets, ...upperTargets, ...comparisonValues.filter(v => v !== null)];
 
     const yMaxLimit = Math.max(...allTotals);
     const paddingMultiplier = 0.1;
-    const yMax = Math.ceil((yMaxLimit * (1 + paddingMultiplier)) / 20) * 20;
+    // Grams of БЖУ use a 20 g grid; extra nutrients (mg, ml) get a step of their own magnitude
+    const roundStep = nutrient ? Math.pow(10, Math.max(0, Math.floor(Math.log10(yMaxLimit || 1)) - 1)) : 20;
+    const yMax = Math.ceil((yMaxLimit * (1 + paddingMultiplier)) / roundStep) * roundStep || roundStep;
 
     // Target and Average Lines Plugin
     const linesPlugin = {
         id: 'macroLines',
         beforeDatasetsDraw(chart) {
-            const { ctx, chartArea: { left, width }, scales: { y } } = chart;
-
-            // Draw Target Line
-            if (target) {
-                ctx.save();
-                ctx.setLineDash([4, 4]);
-                ctx.lineWidth = 1;
-                ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+            const { ctx, chartArea: { left, right }, scales: { x, y } } = chart;
+            const count = itemTargets.length;
+            if (count === 0) return;
 
-                const yLine = y.getPixelForValue(target);
+            // Draw Target Line (steps where the target changes)
+            const step = count > 1 ? x.getPixelForValue(1) - x.getPixelForValue(0) : right - left;
+            ctx.save();
+            ctx.setLineDash([4, 4]);
+            ctx.lineWidth = 1;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+            [itemTargets, upperTargets].filter(line => line.length > 0).forEach(line => {
                 ctx.beginPath();
-                ctx.moveTo(left, yLine);
-                ctx.lineTo(left + width, yLine);
+                line.forEach((target, i) => {
+                    const xStart = i === 0 ? left : x.getPixelForValue(i) - step / 2;
+                    const xEnd = i === count - 1 ? right : x.getPixelForValue(i) + step / 2;
+                    const yLine = y.getPixelForValue(target);
+                    if (i === 0) ctx.moveTo(xStart, yLine);
+                    else ctx.lineTo(xStart, yLine);
+                    ctx.lineTo(xEnd, yLine);
+                });
                 ctx.stroke();
-                ctx.restore();
-            }
+            });
+            ctx.restore();
         }
     };
 
     const datasets = [];
 
-    if (macro === 'carbs') {
+    if (mode === 'plain' || mode === 'range') {
         datasets.push({
             data: s1,
             backgroundColor: (ctx) => {
                 const item = validData[ctx.dataIndex];
-                return item && item.isIncomplete ? createHatchPattern(color) : color;
+                let barColor = color;
+                // Ranges: green inside the range, red outside
+                if (mode === 'range' && item) barColor = isNutrientOnTarget(item[macro], nutrient) ? '#58D68D' : '#FF6B6B';
+                return item && item.isIncomplete ? createHatchPattern(barColor) : barColor;
             },
             borderRadius: 6,
             barPercentage: 0.7
@@ -991,10 +1783,10 @@ function createMacroThermometerChart(canvasId, data, macro, color, targetValue,
                 barPercentage: 0.7
             },
             {
-                label: macro === 'proteins' ? 'Результат' : 'Перебор',
+                label: mode === 'min' ? 'Результат' : 'Перебор',
                 data: s2,
                 backgroundColor: (ctx) => {
-                    const resColor = macro === 'proteins' ? '#58D68D' : '#FF6B6B';
+                    const resColor = mode === 'min' ? '#58D68D' : '#FF6B6B';
                     const item = validData[ctx.dataIndex];
                     return item && item.isIncomplete ? createHatchPattern(resColor) : resColor;
                 },
@@ -1004,13 +1796,30 @@ function createMacroThermometerChart(canvasId, data, macro, color, targetValue,
         );
     }
 
+    if (validComparison) {
+        datasets.push({
+            type: 'line',
+            label: 'Сравнение',
+            data: comparisonValues,
+            stack: 'comparison', // Not stacked on top of the bars
+            borderColor: colors.comparison,
+            backgroundColor: colors.comparison,
+            borderWidth: 2,
+            borderDash: [5, 4],
+            pointRadius: 3,
+            pointHoverRadius: 5,
+            tension: 0.3,
+            spanGaps: true
+        });
+    }
+
     return new Chart(ctx, {
         type: 'bar',
         data: {
             labels: labels,
             datasets: datasets
         },
-        plugins: [linesPlugin],
+        plugins: [linesPlugin, createTargetChangesPlugin(validData, nutrient ? [] : [macro, 'schedule'])],
         options: {
             ...commonOptions,
             scales: {
@@ -1019,7 +1828,7 @@ function createMacroThermometerChart(canvasId, data, macro, color, targetValue,
                     min: 0,
                     max: yMax,
                     ticks: {
-                        stepSize: 20,
+                        stepSize: nutrient ? undefined : 20,
                         callback: (value) => formatNumber(value)
                     },
                     grid: {
@@ -1040,23 +1849,21 @@ function createMacroThermometerChart(canvasId, data, macro, color, targetValue,
                     padding: 12,
                     displayColors: false,
                     callbacks: {
-                        title: (items) => {
-                            const d = validData[items[0].dataIndex];
-                            const date = new Date(d.date);
-                            const months = ['января', 'февраля', 'марта', 'апреля', 'мая', 'июня', 'июля', 'августа', 'сентября', 'октября', 'ноября', 'декабря'];
-
-                            if (d.isWeekly) {
-                                const f = (dt) => `${dt.getDate()}.${String(dt.getMonth() + 1).padStart(2, '0')}`;
-                                const monday = new Date(date);
-                                monday.setDate(monday.getDate() - 6);
-                                return `Неделя с ${f(monday)} по ${f(date)}`;
-                            }
-                            return `${date.getDate()} ${months[date.getMonth()]}`;
-                        },
+                        title: (items) => formatItemTitle(validData[items[0].dataIndex]),
                         label: (context) => {
+                            if (context.dataset.label === 'Сравнение') {
+                                const c = validComparison[context.dataIndex];
+                                return `Сравнение (${formatItemTitle(c.sourceDate ? { ...c, date: c.sourceDate } : c)}): ${formatNumber(Math.round(context.raw))} ${unit}`;
+                            }
                             const val = validData[context.dataIndex][macro];
-                            const label = validData[context.dataIndex].isWeekly ? 'Среднее: ' : '';
-                            return `${label}${formatNumber(Math.round(val))} г`;
+                            const label = validData[context.dataIndex].isAggregated ? 'Среднее: ' : '';
+                            return `${label}${formatNumber(Math.round(val))} ${unit}`;
+                        },
+                        afterLabel: (context) => {
+                            if (context.dataset.label === 'Сравнение') return '';
+                            if (mode === 'range') return `Цель: ${formatNumber(nutrient.min)}–${formatNumber(nutrient.max)} ${unit}`;
+                            const target = itemTargets[context.dataIndex];
+                            return target ? `Цель: ${formatNumber(Math.round(target))} ${unit}` : '';
                         }
                     }
                 }
@@ -1186,7 +1993,8 @@ function createMacroDistributionChart(canvasId, stats) {
 }
 
 // Gauge Chart (Full Circle)
-function createMacroGaugeChart(canvasId, stats, unit = 'daily') {
+// unit: key of AGGREGATION_PERIODS the stats were counted in
+function createMacroGaugeChart(canvasId, stats, unit = 'day') {
     const canvas = document.getElementById(canvasId);
     if (!canvas) return null;
 
@@ -1199,23 +2007,6 @@ function createMacroGaugeChart(canvasId, stats, unit = 'daily') {
     const successCount = stats.successCount;
     const totalCount = stats.total;
 
-    // Russian declension helper
-    const getDeclension = (n, type) => {
-        const num = Math.abs(n) % 100;
-        const n1 = num % 10;
-        if (type === 'daily') {
-            if (num > 10 && num < 20) return 'дней';
-            if (n1 > 1 && n1 < 5) return 'дня';
-            if (n1 === 1) return 'день';
-            return 'дней';
-        } else {
-            if (num > 10 && num < 20) return 'недель';
-            if (n1 > 1 && n1 < 5) return 'недели';
-            if (n1 === 1) return 'неделя';
-            return 'недель';
-        }
-    };
-
     // Gauge center text plugin
     const gaugeCenterText = {
         id: 'gaugeCenterText',
@@ -1238,7 +2029,7 @@ function createMacroGaugeChart(canvasId, stats, unit = 'daily') {
             ctx.fillStyle = '#a0aec0';
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
-            const unitLabel = getDeclension(totalCount, unit);
+            const unitLabel = pluralizePeriod(totalCount, unit);
             ctx.fillText(`${successCount} из ${totalCount} ${unitLabel}`, centerX, centerY + 16);
 
             ctx.restore();
@@ -1273,3 +2064,133 @@ function createMacroGaugeChart(canvasId, stats, unit = 'daily') {
         }
     });
 }
+
+// Calendar heatmap layers: colour and tooltip text of a day
+// kbju: kbjuData item for the date (or undefined), weighed: whether there is a weigh-in
+const heatmapLayers = {
+    zone: {
+        legend: Object.keys(zoneLabels).map(key => ({ color: colors.zones[key], label: zoneLabels[key] })),
+        cell: (date, kbju) => {
+            if (!kbju) return null;
+            const category = getCalorieCategory(kbju.calories, date);
+            return { color: colors.zones[category], text: `${formatNumber(Math.round(kbju.calories))} ккал, ${zoneLabels[category]}` };
+        }
+    },
+    proteins: {
+        legend: [{ color: '#58D68D', label: 'Норма белка' }, { color: '#FF6B6B', label: 'Недобор' }],
+        cell: (date, kbju) => {
+            if (!kbju || kbju.proteins === null) return null;
+            const target = getTargetsForDate(date).proteins;
+            const ok = kbju.proteins >= target;
+            return { color: ok ? '#58D68D' : '#FF6B6B', text: `Белки ${Math.round(kbju.proteins)} из ${target} г` };
+        }
+    },
+    fats: {
+        legend: [{ color: '#58D68D', label: 'В пределах лимита' }, { color: '#FF6B6B', label: 'Перебор' }],
+        cell: (date, kbju) => {
+            if (!kbju || kbju.fats === null) return null;
+            const target = getTargetsForDate(date).fats;
+            const ok = kbju.fats <= target;
+            return { color: ok ? '#58D68D' : '#FF6B6B', text: `Жиры ${Math.round(kbju.fats)} из ${target} г` };
+        }
+    },
+    weighIn: {
+        legend: [{ color: colors.primary, label: 'Было взвешивание' }],
+        cell: (date, kbju, weighed) => weighed ? { color: colors.primary, text: 'Взвешивание' } : null
+    }
+};
+
+// GitHub-style calendar heatmap (DOM grid, not a Chart.js chart)
+// options: layer (key of heatmapLayers), mode ('year' | 'month'), anchorDate (last shown day / day in the month),
+// onDayClick(dateStr)
+// Returns an object with destroy() like chart instances
+function createCalendarHeatmap(containerId, { layer = 'zone', mode = 'year', anchorDate, onDayClick = null } = {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return null;
+
+    const layerConfig = heatmapLayers[layer] || heatmapLayers.zone;
+    const kbjuByDate = {};
+    kbjuData.forEach(d => { kbjuByDate[d.date] = d; });
+    const weighInDates = new Set(weightData.map(d => d.date));
+    const today = new Date().toISOString().split('T')[0];
+    const anchor = anchorDate || today;
+
+    const months = ['Янв', 'Фев', 'Мар', 'Апр', 'Май', 'Июн', 'Июл', 'Авг', 'Сен', 'Окт', 'Ноя', 'Дек'];
+    const weekdays = ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'];
+
+    // Period: 53 weeks ending with the anchor week, or the anchor's month padded to full weeks
+    let start, end, monthPrefix = null;
+    if (mode === 'month') {
+        monthPrefix = anchor.slice(0, 7);
+        const first = `${monthPrefix}-01`;
+        const last = shiftDate(shiftDate(`${monthPrefix}-28`, 4).slice(0, 7) + '-01', -1);
+        start = shiftDate(first, -getWeekdayIndex(first));
+        end = shiftDate(last, 6 - getWeekdayIndex(last));
+    } else {
+        end = shiftDate(anchor, 6 - getWeekdayIndex(anchor));
+        start = shiftDate(end, -(53 * 7 - 1));
+    }
+
+    const cellHtml = (date) => {
+        const outside = monthPrefix && !date.startsWith(monthPrefix);
+        if (outside || date > today) return '<div class="heatmap-cell empty"></div>';
+
+        const info = layerConfig.cell(date, kbjuByDate[date], weighInDates.has(date));
+        const title = `${formatDateDDMM(date)}.${date.slice(0, 4)}${info ? ` — ${info.text}` : ' — нет данных'}`;
+        const style = info ? ` style="background: ${info.color};"` : '';
+        const dayNumber = mode === 'month' ? parseInt(date.slice(8), 10) : '';
+        return `<div class="heatmap-cell${info ? '' : ' no-data'}" data-date="${date}" title="${title}"${style}>${dayNumber}</div>`;
+    };
+
+    const days = [];
+    for (let date = start; date <= end; date = shiftDate(date, 1)) days.push(date);
+
+    let gridHtml;
+    if (mode === 'month') {
+        gridHtml = `
+            <div class="heatmap-title">${months[parseInt(monthPrefix.slice(5), 10) - 1]} ${monthPrefix.slice(0, 4)}</div>
+            <div class="heatmap-month">
+                ${weekdays.map(w => `<div class="heatmap-weekday">${w}</div>`).join('')}
+                ${days.map(cellHtml).join('')}
+            </div>
+        `;
+    } else {
+        // Month labels above the first week of each month
+        const weekCount = days.length / 7;
+        const monthLabels = [];
+        for (let week = 0; week < weekCount; week++) {
+            const monday = days[week * 7];
+            const sunday = days[week * 7 + 6];
+            const label = sunday.slice(8) <= '07' ? months[parseInt(sunday.slice(5, 7), 10) - 1] : '';
+            monthLabels.push(`<div class="heatmap-month-label">${week === 0 && !label ? months[parseInt(monday.slice(5, 7), 10) - 1] : label}</div>`);
+        }
+
+        gridHtml = `
+            <div class="heatmap-year">
+                <div class="heatmap-month-labels" style="grid-template-columns: repeat(${weekCount}, 1fr);">${monthLabels.join('')}</div>
+                <div class="heatmap-body">
+                    <div class="heatmap-weekdays">${weekdays.map((w, i) => `<div>${i % 2 === 0 ? w : ''}</div>`).join('')}</div>
+                    <div class="heatmap-grid" style="grid-template-columns: repeat(${weekCount}, 1fr);">${days.map(cellHtml).join('')}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    const legendHtml = layerConfig.legend
+        .map(item => `<span class="heatmap-legend-item"><span class="heatmap-legend-color" style="background: ${item.color};"></span>${item.label}</span>`)
+        .join('');
+
+    container.innerHTML = `${gridHtml}<div class="heatmap-legend">${legendHtml}</div>`;
+
+    container.onclick = (e) => {
+        const cell = e.target.closest('.heatmap-cell[data-date]');
+        if (cell && onDayClick) onDayClick(cell.dataset.date);
+    };
+
+    return {
+        destroy() {
+            container.innerHTML = '';
+            container.onclick = null;
+        }
+    };
+}
@@ -0,0 +1,159 @@
+// Coach view: read-only summary of several clients (one profile per client sheet)
+// with a click-through into each client's full dashboard
+
+const COACH_RECENT_DAYS = 7; // Window for the calorie average and protein success rate
+
+const coachModal = document.getElementById('coachModal');
+let coachLoading = false;
+let coachReloadPending = false; // A client was added while the table was loading
+
+// Summary of one client: last weigh-in, recent calories and protein, trend and days since the last log
+// Protein success is scored against the client's own settings
+function getClientSummary({ weightData: weights, kbjuData: kbju, foodLogData: food }, settings) {
+    const today = formatDateToString(new Date());
+    const recent = filterByDateRange(kbju, shiftDate(today, -(COACH_RECENT_DAYS - 1)), today);
+    const calories = recent.filter(d => d.calories !== null && d.calories !== undefined);
+    const lastLogDate = [...weights, ...kbju, ...food].reduce((max, d) => d.date > max ? d.date : max, '');
+
+    return {
+        lastWeight: weights.length > 0 ? weights[weights.length - 1] : null,
+        calorieAvg: calories.length > 0
+            ? Math.round(calories.reduce((sum, d) => sum + d.calories, 0) / calories.length)
+            : null,
+        protein: getMacroStats(recent, 'proteins', settings),
+        daysSinceLog: lastLogDate ? getDaysBetween(lastLogDate, today) : null
+    };
+}
+
+// Fetch every client in turn; each payload is parsed with the client's settings into local data,
+// so the live dashboard's data and targets are never touched
+async function loadCoachView() {
+    if (coachLoading) {
+        coachReloadPending = true;
+        return;
+    }
+    coachLoading = true;
+
+    const rows = getProfileState().list.map(profile => ({ profile, loading: true }));
+    renderCoachTable(rows);
+
+    for (const row of rows) {
+        try {
+            // Trend smoothing, heights and targets of the client apply while its data is parsed and scored
+            const settings = readSettings(row.profile.id);
+            const sheetUrl = getSheetUrl(row.profile.id);
+            if (getCacheKey(sheetUrl, row.profile.user) === loadedCacheKey) {
+                // The sheet open in the dashboard is already loaded and kept in sync; fetching it here would move
+                // its cached revision past the loaded data, and the next delta sync would skip the rows in between
+                Object.assign(row, getClientSummary({ weightData, kbjuData, foodLogData }, settings));
+            } else {
+                const { payload } = await syncSheetPayload(sheetUrl, row.profile);
+                Object.assign(row, getClientSummary(parseSheetPayload(payload, settings), settings));
+            }
+        } catch (error) {
+            console.warn(`Coach view: ${row.profile.name}:`, error);
+            row.error = error.message;
+        }
+        row.loading = false;
+        renderCoachTable(rows);
+    }
+
+    coachLoading = false;
+
+    if (coachReloadPending) {
+        coachReloadPending = false;
+        loadCoachView();
+    }
+}
+
+function renderCoachTable(rows) {
+    const activeId = getActiveProfile().id;
+    const formatRow = (row) => {
+        if (row.loading) return '<td colspan="5" class="coach-muted">Загрузка…</td>';
+        if (row.error) return `<td colspan="5" class="coach-error">${escapeHtml(row.error)}</td>`;
+
+        const { lastWeight, calorieAvg, protein, daysSinceLog } = row;
+        const proteinClass = protein.total === 0 ? '' : protein.successRate >= 80 ? 'coach-good' : protein.successRate < 50 ? 'coach-bad' : '';
+        const staleClass = daysSinceLog !== null && daysSinceLog > 2 ? 'coach-bad' : '';
+        return `
+            <td>${lastWeight ? `${lastWeight.weight} кг<div class="coach-muted">${formatDisplayDate(lastWeight.date)}</div>` : '—'}</td>
+            <td>${calorieAvg !== null ? `${formatNumber(calorieAvg)} ккал` : '—'}</td>
+            <td class="${proteinClass}">${protein.total > 0 ? `${protein.successRate}% <span class="coach-muted">(${protein.successCount}/${protein.total})</span>` : '—'}</td>
+            <td>${lastWeight && lastWeight.trendRate !== null ? formatTrendRate(lastWeight) : '—'}</td>
+            <td class="${staleClass}">${daysSinceLog === null ? '—' : daysSinceLog === 0 ? 'сегодня' : `${daysSinceLog} дн.`}</td>
+        `;
+    };
+
+    document.getElementById('coachTable').innerHTML = `
+        <table class="food-table coach-table">
+            <thead><tr>
+                <th>Клиент</th><th>Последний вес</th><th>Калории, ${COACH_RECENT_DAYS} дн.</th>
+                <th>Белок в норме</th><th>Тренд</th><th>Без записей</th>
+            </tr></thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="coach-row" data-profile="${row.profile.id}" title="Открыть дашборд">
+                        <td class="food-name">${escapeHtml(row.profile.name || 'Без имени')}${row.profile.id === activeId ? ' <span class="coach-muted">(открыт)</span>' : ''}</td>
+                        ${formatRow(row)}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    document.querySelectorAll('#coachTable [data-profile]').forEach(tr => {
+        tr.onclick = () => openClientDashboard(tr.dataset.profile);
+    });
+}
+
+// Switch to the client's profile; its data was just cached, so the dashboard opens instantly
+function openClientDashboard(profileId) {
+    closeCoachView();
+    if (profileId !== getActiveProfile().id) handleProfileSwitch(profileId);
+}
+
+// Add a client sheet as a new profile and reload the table
+function handleAddClient() {
+    const nameInput = document.getElementById('coachClientName');
+    const urlInput = document.getElementById('coachClientUrl');
+    const tokenInput = document.getElementById('coachClientToken');
+    const errorEl = document.getElementById('coachError');
+    const sheetUrl = urlInput.value.trim();
+
+    if (!/^https?:\/\//.test(sheetUrl)) {
+        errorEl.textContent = 'Укажите URL Apps Script клиента';
+        return;
+    }
+
+    addProfile(nameInput.value.trim() || `Клиент ${getProfileState().list.length + 1}`, sheetUrl, tokenInput.value.trim());
+    [nameInput, urlInput, tokenInput].forEach(input => { input.value = ''; });
+    errorEl.textContent = '';
+    renderProfileSwitcher();
+    loadCoachView();
+}
+
+function openCoachView() {
+    document.getElementById('coachError').textContent = '';
+    coachModal.classList.add('active');
+    loadCoachView();
+}
+
+function closeCoachView() {
+    coachModal.classList.remove('active');
+}
+
+// Coach view handlers
+document.getElementById('openCoach').addEventListener('click', openCoachView);
+document.getElementById('closeCoach').addEventListener('click', closeCoachView);
+document.getElementById('refreshCoach').addEventListener('click', loadCoachView);
+document.getElementById('addCoachClient').addEventListener('click', handleAddClient);
+coachModal.addEventListener('click', (e) => {
+    if (e.target === coachModal) {
+        closeCoachView();
+    }
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && coachModal.classList.contains('active')) {
+        closeCoachView();
+    }
+});
@@ -1,14 +1,105 @@
 // Data module: fetching from Google Sheets and data transformations
 
 // Constants
-const HEIGHT_CM = 175;
+const DEFAULT_HEIGHT_CM = 175;
 const STORAGE_KEY_SETTINGS = 'kbju_dashboard_settings';
 const STORAGE_KEY_SHEET_URL = 'kbju_dashboard_sheet_url';
-const DEFAULT_SHEET_URL = 'https://script.google.com/macros/s/AKfycbznZ_9b18vk8Gs3ys41scrYs0j2c3522zF-xtXVioF9dhesw6-JRvMywow-3GbnmyBJJw/exec';
+const STORAGE_KEY_API_TOKEN = 'kbju_dashboard_api_token';
+const STORAGE_KEY_STREAKS = 'kbju_dashboard_streaks'; // Last seen streaks, to notify about breaks and records
+const STORAGE_KEY_IGNORED_ISSUES = 'kbju_dashboard_ignored_issues'; // Data quality issues the user marked as correct
+const STORAGE_KEY_PROFILES = 'kbju_dashboard_profiles'; // Household profiles: { activeId, list: [{ id, name, user }] }
+const DEFAULT_PROFILE_ID = 'default'; // Keeps the unsuffixed storage keys of single-profile setups
+
+// Offline cache (IndexedDB)
+const CACHE_DB_NAME = 'kbju_dashboard_cache';
+const CACHE_STORE_NAME = 'payloads';
+const CACHE_STALE_AFTER_MS = 24 * 60 * 60 * 1000; // Cached data older than this is marked as stale
+const SHEET_SOURCES = ['weight', 'kbju', 'food', 'body']; // Row arrays of a doGet payload
+
+// Activity levels (multipliers for basal metabolic rate)
+const activityLevels = {
+  sedentary: { label: 'Сидячий образ жизни', factor: 1.2 },
+  light: { label: 'Лёгкая активность (1–3 тренировки)', factor: 1.375 },
+  moderate: { label: 'Средняя активность (3–5 тренировок)', factor: 1.55 },
+  high: { label: 'Высокая активность (6–7 тренировок)', factor: 1.725 },
+  extreme: { label: 'Очень высокая активность', factor: 1.9 }
+};
+
+// Default user profile
+// heights: height history, each entry applies from its date until the next one (empty "from" = since the beginning)
+const DEFAULT_PROFILE = {
+  sex: 'male',
+  birthDate: '',
+  activityLevel: 'moderate',
+  heights: [{ from: '', heightCm: DEFAULT_HEIGHT_CM }]
+};
+
+// Default target schedule
+// weekdays: Monday..Sunday, each null or { proteins, fats, carbs, calorieOffset } (missing fields use the base targets)
+// overrides: date ranges such as diet breaks, [{ name, from, to, proteins, fats, carbs, calorieOffset }]; later entries win
+const DEFAULT_SCHEDULE = {
+  weekdays: [null, null, null, null, null, null, null],
+  overrides: []
+};
+const SCHEDULE_TARGET_KEYS = ['proteins', 'fats', 'carbs', 'calorieOffset'];
+
+// Columns of kbju_data that are always present; any other numeric column is an extra nutrient
+const KBJU_BASE_KEYS = ['calories', 'proteins', 'fats', 'carbs'];
+
+// Extra nutrients offered in settings; key = column name in kbju_data (lower case)
+// direction: 'min' (at least min), 'max' (at most max) or 'range' (between min and max)
+const NUTRIENT_PRESETS = {
+  fiber: { label: 'Клетчатка', unit: 'г', direction: 'min', min: 30, max: null },
+  sugar: { label: 'Сахар', unit: 'г', direction: 'max', min: null, max: 50 },
+  sodium: { label: 'Натрий', unit: 'мг', direction: 'max', min: null, max: 2300 },
+  water: { label: 'Вода', unit: 'мл', direction: 'range', min: 2000, max: 3000 },
+  alcohol: { label: 'Алкоголь', unit: 'г', direction: 'max', min: null, max: 0 }
+};
+const NUTRIENT_DIRECTIONS = {
+  min: 'Не меньше',
+  max: 'Не больше',
+  range: 'В диапазоне'
+};
+
+// Body measurements (body_data sheet): circumferences in cm, bodyFat in %
+const BODY_MEASUREMENTS = {
+  waist: { label: 'Талия', unit: 'см' },
+  hips: { label: 'Бёдра', unit: 'см' },
+  chest: { label: 'Грудь', unit: 'см' },
+  arm: { label: 'Рука', unit: 'см' },
+  thigh: { label: 'Бедро', unit: 'см' },
+  neck: { label: 'Шея', unit: 'см' },
+  bodyFat: { label: '% жира', unit: '%' }
+};
+
+// Aggregation buckets for charts; forms are the Russian plural forms for 1 / 2–4 / 5+
+const AGGREGATION_PERIODS = {
+  day: { label: 'Дни', title: 'по дням', plural: 'дни', forms: ['день', 'дня', 'дней'] },
+  week: { label: 'Недели', title: 'по неделям', plural: 'недели', forms: ['неделя', 'недели', 'недель'] },
+  twoWeeks: { label: '2 недели', title: 'по 2 недели', plural: 'периоды', forms: ['период', 'периода', 'периодов'] },
+  month: { label: 'Месяцы', title: 'по месяцам', plural: 'месяцы', forms: ['месяц', 'месяца', 'месяцев'] },
+  quarter: { label: 'Кварталы', title: 'по кварталам', plural: 'кварталы', forms: ['квартал', 'квартала', 'кварталов'] }
+};
+
+// First day of the week as a weekday index (0 = Monday ... 6 = Sunday)
+const WEEK_START_DAYS = {
+  monday: { label: 'Понедельник', index: 0 },
+  sunday: { label: 'Воскресенье', index: 6 },
+  saturday: { label: 'Суббота', index: 5 }
+};
+const TWO_WEEK_ANCHOR = '2024-01-01'; // Two-week buckets are counted from the week containing this date
+
+// Settings that are versioned in targets.targetHistory, so past days keep the goals of their time
+const TARGET_HISTORY_KEYS = ['proteins', 'fats', 'carbs', 'calorieZones', 'schedule'];
 
 // Default target values (can be overridden in settings)
-let targets = {
+const DEFAULT_TARGETS = {
+  profile: { ...DEFAULT_PROFILE },
   bmi: 25,
+  trendSmoothing: 0.1, // EWMA smoothing factor for trend weight (Hacker's Diet uses 0.1)
+  goalWeight: null,
+  goalDate: '', // Optional deadline for goal weight (YYYY-MM-DD)
+  weekStart: 'monday', // Key of WEEK_START_DAYS used by weekly and two-week buckets
   proteins: 150,
   fats: 80,
   carbs: 220,
@@ -19,8 +110,15 @@ let targets = {
     slowLoss: 2400,
     maintenance: 2600,
     surplus: 10000 // Upper bound for surplus (virtual)
-  }
+  },
+  schedule: { ...DEFAULT_SCHEDULE },
+  // Tracked extra nutrients: [{ key, label, unit, direction, min, max }] (see NUTRIENT_PRESETS)
+  extraNutrients: [],
+  // Versions of TARGET_HISTORY_KEYS: [{ from, proteins, fats, carbs, calorieZones, schedule }]
+  // Each version applies from its date until the next one (empty "from" = since the beginning)
+  targetHistory: []
 };
+let targets = JSON.parse(JSON.stringify(DEFAULT_TARGETS));
 
 // Color scheme
 const colors = {
@@ -40,17 +138,115 @@ const colors = {
   },
   positive: "#22c55e",
   negative: "#ef4444",
-  neutral: "#a0aec0"
+  neutral: "#a0aec0",
+  trend: "#a855f7",
+  comparison: "#f472b6", // Second range in comparison mode
+  warning: "#facc15", // Points flagged by validation.js
+  nutrients: ["#34d399", "#f87171", "#38bdf8", "#c084fc", "#fb923c"], // Extra nutrient cards, in settings order
+  leanMass: "#4facfe",
+  fatMass: "#FFB74D",
+  body: { waist: "#f472b6", hips: "#c084fc", chest: "#4facfe", arm: "#fbbf24", thigh: "#34d399", neck: "#94a3b8" }
 };
 
 // Data storage
 let weightData = [];
 let kbjuData = [];
+let foodLogData = []; // Individual food diary entries (food_log sheet)
+let bodyData = []; // Body measurements (body_data sheet), sorted by date
+let loadedCacheKey = null; // Cache key (see getCacheKey) of the sheet whose data is loaded above
+
+// Household profiles (each person has own sheet URL, token and settings); the default one is created on first use
+function getProfileState() {
+  try {
+    const state = JSON.parse(localStorage.getItem(STORAGE_KEY_PROFILES));
+    if (state && Array.isArray(state.list) && state.list.length > 0) return state;
+  } catch (e) {
+    console.warn('Failed to load profiles:', e);
+  }
+  return { activeId: DEFAULT_PROFILE_ID, list: [{ id: DEFAULT_PROFILE_ID, name: 'Основной', user: '' }] };
+}
+
+function saveProfileState(state) {
+  localStorage.setItem(STORAGE_KEY_PROFILES, JSON.stringify(state));
+}
+
+// Active profile: { id, name, user } where user is the tab prefix in a shared spreadsheet ('' = plain tabs)
+function getActiveProfile() {
+  const state = getProfileState();
+  return state.list.find(p => p.id === state.activeId) || state.list[0];
+}
+
+// localStorage key of a per-profile value
+function getProfileStorageKey(baseKey, profileId = getActiveProfile().id) {
+  return profileId === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}:${profileId}`;
+}
+
+// Create a profile; by default it starts with the sheet URL and token of the active one (same household spreadsheet)
+function addProfile(name, sheetUrl = getSheetUrl(), token = getApiToken()) {
+  const state = getProfileState();
+  const profile = { id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name, user: '' };
+  state.list.push(profile);
+  saveProfileState(state);
+
+  localStorage.setItem(getProfileStorageKey(STORAGE_KEY_SHEET_URL, profile.id), sheetUrl);
+  if (token) localStorage.setItem(getProfileStorageKey(STORAGE_KEY_API_TOKEN, profile.id), token);
+  return profile;
+}
+
+// Update name / tab prefix of a profile
+function updateProfile(id, fields) {
+  const state = getProfileState();
+  state.list = state.list.map(p => p.id === id ? { ...p, ...fields } : p);
+  saveProfileState(state);
+}
+
+// Delete a profile and everything stored for it, including its offline copy of the sheet;
+// the last profile can't be deleted
+async function removeProfile(id) {
+  const state = getProfileState();
+  const profile = state.list.find(p => p.id === id);
+  if (!profile || state.list.length <= 1) return false;
+
+  // Profiles with the same sheet URL and tab prefix share one cache entry: keep it while one of them is left
+  const cacheKey = getCacheKey(getSheetUrl(id), profile.user);
+  const cacheShared = state.list.some(p => p.id !== id && getCacheKey(getSheetUrl(p.id), p.user) === cacheKey);
+
+  [STORAGE_KEY_SETTINGS, STORAGE_KEY_SHEET_URL, STORAGE_KEY_API_TOKEN, STORAGE_KEY_STREAKS, STORAGE_KEY_IGNORED_ISSUES]
+    .forEach(key => localStorage.removeItem(getProfileStorageKey(key, id)));
+  state.list = state.list.filter(p => p.id !== id);
+  if (state.activeId === id) state.activeId = state.list[0].id;
+  saveProfileState(state);
+
+  if (!cacheShared) {
+    try {
+      await deleteCachedPayload(cacheKey);
+    } catch (e) {
+      console.warn('Failed to delete cached data of the profile:', e);
+    }
+  }
+  return true;
+}
+
+// Make a profile active: drop loaded data and load its settings
+function switchProfile(id) {
+  const state = getProfileState();
+  if (!state.list.some(p => p.id === id)) return;
+  state.activeId = id;
+  saveProfileState(state);
+
+  weightData = [];
+  kbjuData = [];
+  foodLogData = [];
+  bodyData = [];
+  loadedCacheKey = null;
+  loadSettings();
+}
 
-// Load settings from localStorage
-function loadSettings() {
+// Settings of a profile from localStorage, merged over the defaults
+function readSettings(profileId) {
+  let settings = JSON.parse(JSON.stringify(DEFAULT_TARGETS));
   try {
-    const saved = localStorage.getItem(STORAGE_KEY_SETTINGS);
+    const saved = localStorage.getItem(getProfileStorageKey(STORAGE_KEY_SETTINGS, profileId));
     if (saved) {
       const parsed = JSON.parse(saved);
       // Migrate old keys if necessary (simple check)
@@ -58,18 +254,66 @@ function loadSettings() {
         parsed.calorieZones.unhealthyDeficit = parsed.calorieZones.severeDeficit;
         delete parsed.calorieZones.severeDeficit;
       }
-      targets = { ...targets, ...parsed };
+      settings = { ...settings, ...parsed };
+      settings.profile = { ...DEFAULT_PROFILE, ...(parsed.profile || {}) };
+      settings.schedule = { ...DEFAULT_SCHEDULE, ...(parsed.schedule || {}) };
     }
   } catch (e) {
     console.warn('Failed to load settings:', e);
   }
+  return settings;
+}
+
+// Load settings of a profile (the active one by default) into targets
+function loadSettings(profileId = getActiveProfile().id) {
+  targets = readSettings(profileId);
+}
+
+// JSON with sorted object keys, so equal settings compare equal regardless of key order
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Pick the versioned target fields from a settings object
+function pickTargetVersion(source) {
+  const version = {};
+  TARGET_HISTORY_KEYS.forEach(key => {
+    version[key] = JSON.parse(JSON.stringify(source[key] !== undefined ? source[key] : null));
+  });
+  return version;
+}
+
+// Record a new dated version when versioned targets change
+// The first change also stores the previous values as the version "since the beginning"
+function recordTargetHistory(previous, next) {
+  const before = pickTargetVersion(previous);
+  const after = pickTargetVersion(next);
+  if (stableStringify(before) === stableStringify(after)) return previous.targetHistory || [];
+
+  const today = formatDateToString(new Date()); // Local date: a change after midnight belongs to the new day
+  const history = (previous.targetHistory || []).length > 0
+    ? [...previous.targetHistory]
+    : [{ from: '', ...before }];
+
+  // Several edits on the same day collapse into one version
+  if (history[history.length - 1].from === today) history.pop();
+  history.push({ from: today, ...after });
+  return history;
 }
 
 // Save settings to localStorage
 function saveSettings(newSettings) {
   try {
-    targets = { ...targets, ...newSettings };
-    localStorage.setItem(STORAGE_KEY_SETTINGS, JSON.stringify(targets));
+    const merged = { ...targets, ...newSettings };
+    merged.targetHistory = recordTargetHistory(targets, merged);
+    targets = merged;
+    localStorage.setItem(getProfileStorageKey(STORAGE_KEY_SETTINGS), JSON.stringify(targets));
+    if (newSettings.trendSmoothing !== undefined) calculateTrendWeights(weightData);
+    if (newSettings.profile) recalculateBMI();
     return true;
   } catch (e) {
     console.error('Failed to save settings:', e);
@@ -77,38 +321,105 @@ function saveSettings(newSettings) {
   }
 }
 
-// Get Google Sheets URL (from localStorage or hardcoded default)
-function getSheetUrl() {
-  return localStorage.getItem(STORAGE_KEY_SHEET_URL) || DEFAULT_SHEET_URL;
+// Get Google Sheets URL from localStorage
+function getSheetUrl(profileId = getActiveProfile().id) {
+  return localStorage.getItem(getProfileStorageKey(STORAGE_KEY_SHEET_URL, profileId)) || '';
 }
 
 // Save Google Sheets URL to localStorage
 function saveSheetUrl(url) {
-  localStorage.setItem(STORAGE_KEY_SHEET_URL, url);
+  localStorage.setItem(getProfileStorageKey(STORAGE_KEY_SHEET_URL), url);
 }
 
-// Calculate BMI
-function calculateBMI(weight, heightCm = HEIGHT_CM) {
-  if (!weight || weight <= 0) return null;
-  const heightM = heightCm / 100;
-  return parseFloat((weight / (heightM * heightM)).toFixed(1));
+// Get API token for the Apps Script web app
+function getApiToken(profileId = getActiveProfile().id) {
+  return localStorage.getItem(getProfileStorageKey(STORAGE_KEY_API_TOKEN, profileId)) || '';
+}
+
+// Save API token to localStorage (empty value removes it)
+function saveApiToken(token) {
+  if (token) localStorage.setItem(getProfileStorageKey(STORAGE_KEY_API_TOKEN), token);
+  else localStorage.removeItem(getProfileStorageKey(STORAGE_KEY_API_TOKEN));
+}
+
+// Get streaks seen on the previous visit (null if none)
+function getStreakState() {
+  try {
+    return JSON.parse(localStorage.getItem(getProfileStorageKey(STORAGE_KEY_STREAKS)));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Save streaks seen on this visit
+function saveStreakState(state) {
+  localStorage.setItem(getProfileStorageKey(STORAGE_KEY_STREAKS), JSON.stringify(state));
+}
+
+// Ids of data quality issues hidden by the user
+function getIgnoredIssues() {
+  try {
+    return JSON.parse(localStorage.getItem(getProfileStorageKey(STORAGE_KEY_IGNORED_ISSUES))) || [];
+  } catch (e) {
+    return [];
+  }
 }
 
-// Get Week Ending Sunday date string (YYYY-MM-DD) for a given date
-// Used to label the "end" of the week (Sunday inclusive)
-function getWeekEndingSunday(dateStr) {
-  const date = new Date(dateStr);
-  const day = date.getDay();
-  // Calculate current week's Monday (ISO week starts Monday)
-  // day 0 (Sun) -> diff -6. day 1 (Mon) -> diff 0.
-  // We want to align to the Monday of the current week.
-  // Standard formula: date - day + (day == 0 ? -6 : 1) works to find Monday.
-  const diff = date.getDate() - day + (day === 0 ? -6 : 1);
+// Hide a data quality issue (the value is correct, e.g. a real post-holiday jump)
+function ignoreIssue(id) {
+  const ignored = getIgnoredIssues();
+  if (!ignored.includes(id)) ignored.push(id);
+  localStorage.setItem(getProfileStorageKey(STORAGE_KEY_IGNORED_ISSUES), JSON.stringify(ignored));
+}
 
-  // Set to Sunday (Current Monday + 6 days)
-  const sunday = new Date(date.setDate(diff + 6));
+// Build request URL with the API token and the profile's tab prefix as query parameters
+function buildSheetRequestUrl(sheetUrl, token = getApiToken(), user = getActiveProfile().user, params = {}) {
+  if (!token && !user && Object.keys(params).length === 0) return sheetUrl;
+  const url = new URL(sheetUrl);
+  if (token) url.searchParams.set('token', token);
+  if (user) url.searchParams.set('user', user);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
 
-  return sunday.toISOString().split('T')[0];
+// Offline cache key: several profiles can read different tabs of one spreadsheet
+function getCacheKey(sheetUrl, user = getActiveProfile().user) {
+  return user ? `${sheetUrl}#${user}` : sheetUrl;
+}
+
+// Turn an error payload from Apps Script into a readable error
+function createSheetsError(data) {
+  if (data.code === 401 && data.reason === 'token_not_configured') {
+    return new Error('В Apps Script не задан API_TOKEN, поэтому таблица закрыта. Добавьте свойство скрипта API_TOKEN (Настройки проекта → Свойства скрипта) и укажите тот же токен в настройках дашборда.');
+  }
+  if (data.code === 401) {
+    return new Error('Неверный или отсутствующий токен доступа. Проверьте токен в настройках.');
+  }
+  return new Error(data.error || 'Unknown error from Sheets');
+}
+
+// Get height (cm) in effect on a given date (YYYY-MM-DD); latest height if no date given
+function getHeightOnDate(dateStr, settings = targets) {
+  const heights = ((settings.profile && settings.profile.heights) || [])
+    .filter(h => h.heightCm > 0)
+    .sort((a, b) => (a.from || '').localeCompare(b.from || ''));
+
+  if (heights.length === 0) return DEFAULT_HEIGHT_CM;
+  if (!dateStr) return heights[heights.length - 1].heightCm;
+
+  // Before the first dated entry, fall back to the earliest known height
+  let height = heights[0].heightCm;
+  heights.forEach(h => {
+    if (!h.from || h.from <= dateStr) height = h.heightCm;
+  });
+  return height;
+}
+
+// Calculate BMI
+function calculateBMI(weight, heightCm = getHeightOnDate()) {
+  if (!weight || weight <= 0) return null;
+  const heightM = heightCm / 100;
+  return parseFloat((weight / (heightM * heightM)).toFixed(1));
 }
 
 // Format date string YYYY-MM-DD to DD.MM
@@ -117,10 +428,153 @@ function formatDateDDMM(dateStr) {
   return `${day.padStart(2, '0')}.${month.padStart(2, '0')}`;
 }
 
-// Determine calorie category
-// Determine calorie category
-function getCalorieCategory(calories) {
-  const zones = targets.calorieZones;
+// Shift date string YYYY-MM-DD by a number of days
+function shiftDate(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// Number of days between two date strings (b - a)
+function getDaysBetween(a, b) {
+  return Math.round((new Date(`${b}T00:00:00Z`) - new Date(`${a}T00:00:00Z`)) / (1000 * 60 * 60 * 24));
+}
+
+// Weekday index of a date string: 0 = Monday ... 6 = Sunday
+function getWeekdayIndex(dateStr) {
+  return (new Date(`${dateStr}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+// Bucket that contains a date: { start, end } (inclusive YYYY-MM-DD)
+function getPeriodRange(dateStr, period) {
+  if (period === 'week' || period === 'twoWeeks') {
+    const weekStart = (WEEK_START_DAYS[targets.weekStart] || WEEK_START_DAYS.monday).index;
+    const startOfWeek = (d) => shiftDate(d, -((getWeekdayIndex(d) - weekStart + 7) % 7));
+    let start = startOfWeek(dateStr);
+
+    if (period === 'twoWeeks') {
+      const weeks = Math.floor(getDaysBetween(startOfWeek(TWO_WEEK_ANCHOR), start) / 7);
+      if (Math.abs(weeks) % 2 === 1) start = shiftDate(start, -7);
+      return { start, end: shiftDate(start, 13) };
+    }
+    return { start, end: shiftDate(start, 6) };
+  }
+
+  if (period === 'month' || period === 'quarter') {
+    const [year, month] = dateStr.split('-').map(Number);
+    const firstMonth = period === 'quarter' ? Math.floor((month - 1) / 3) * 3 + 1 : month;
+    const lastMonth = period === 'quarter' ? firstMonth + 2 : month;
+    const lastDay = new Date(Date.UTC(year, lastMonth, 0)).getUTCDate();
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+      start: `${year}-${pad(firstMonth)}-01`,
+      end: `${year}-${pad(lastMonth)}-${pad(lastDay)}`
+    };
+  }
+
+  return { start: dateStr, end: dateStr };
+}
+
+// Plural form of a bucket name for a count: 1 неделя, 3 недели, 5 недель
+function pluralizePeriod(n, period) {
+  const forms = (AGGREGATION_PERIODS[period] || AGGREGATION_PERIODS.day).forms;
+  const num = Math.abs(n) % 100;
+  const n1 = num % 10;
+  if (num > 10 && num < 20) return forms[2];
+  if (n1 > 1 && n1 < 5) return forms[1];
+  if (n1 === 1) return forms[0];
+  return forms[2];
+}
+
+// Version of the versioned targets in effect on a date (current targets if there is no history)
+function getTargetVersion(dateStr, settings = targets) {
+  const history = settings.targetHistory || [];
+  if (history.length === 0 || !dateStr) return settings;
+
+  let version = history[0];
+  history.forEach(v => {
+    if (!v.from || v.from <= dateStr) version = v;
+  });
+  return version;
+}
+
+// Dates where versioned targets changed, with the changed keys:
+// [{ date, changes: [{ key, from, to }] }]
+function getTargetChanges() {
+  const history = targets.targetHistory || [];
+  const result = [];
+
+  for (let i = 1; i < history.length; i++) {
+    const changes = TARGET_HISTORY_KEYS
+      .filter(key => stableStringify(history[i - 1][key]) !== stableStringify(history[i][key]))
+      .map(key => ({ key, from: history[i - 1][key], to: history[i][key] }));
+    if (changes.length > 0) result.push({ date: history[i].from, changes });
+  }
+  return result;
+}
+
+// Targets that applied on a given date: base values, then the weekday default,
+// then date-range overrides. calorieOffset shifts every calorie zone boundary
+function getTargetsForDate(dateStr, settings = targets) {
+  const version = getTargetVersion(dateStr, settings);
+  const resolved = {
+    proteins: version.proteins,
+    fats: version.fats,
+    carbs: version.carbs,
+    calorieOffset: 0
+  };
+
+  const apply = (entry) => {
+    if (!entry) return;
+    SCHEDULE_TARGET_KEYS.forEach(key => {
+      if (entry[key] !== null && entry[key] !== undefined && entry[key] !== '') resolved[key] = entry[key];
+    });
+  };
+
+  const schedule = version.schedule || DEFAULT_SCHEDULE;
+  if (dateStr) {
+    apply((schedule.weekdays || [])[getWeekdayIndex(dateStr)]);
+    (schedule.overrides || [])
+      .filter(o => (!o.from || o.from <= dateStr) && (!o.to || dateStr <= o.to))
+      .forEach(apply);
+  }
+
+  const zones = { ...version.calorieZones };
+  ['unhealthyDeficit', 'fastLoss', 'healthyLoss', 'slowLoss', 'maintenance'].forEach(key => {
+    zones[key] += resolved.calorieOffset;
+  });
+
+  return { ...resolved, calorieZones: zones };
+}
+
+// Targets for a chart item: the item's date, or the average over the bucket for aggregated items
+function getTargetsForItem(item, settings = targets) {
+  if (!item.isAggregated) return getTargetsForDate(item.date, settings);
+
+  const days = [];
+  for (let d = item.start; d <= item.date; d = shiftDate(d, 1)) days.push(getTargetsForDate(d, settings));
+  const average = (pick) => days.reduce((sum, d) => sum + (pick(d) || 0), 0) / days.length;
+
+  const zones = {};
+  Object.keys(days[0].calorieZones).forEach(key => {
+    zones[key] = Math.round(average(d => d.calorieZones[key]));
+  });
+
+  return {
+    proteins: average(d => d.proteins),
+    fats: average(d => d.fats),
+    carbs: average(d => d.carbs),
+    calorieOffset: average(d => d.calorieOffset),
+    calorieZones: zones
+  };
+}
+
+// Determine calorie category using the zones that applied on the date
+// (with startDate: average zones over startDate..date, for aggregated values)
+function getCalorieCategory(calories, date = null, startDate = null, settings = targets) {
+  const zones = date
+    ? getTargetsForItem({ date, start: startDate, isAggregated: !!startDate }, settings).calorieZones
+    : settings.calorieZones;
   if (calories < zones.unhealthyDeficit) return 'unhealthyDeficit';
   if (calories < zones.fastLoss) return 'fastLoss';
   if (calories < zones.healthyLoss) return 'healthyLoss';
@@ -129,13 +583,371 @@ function getCalorieCategory(calories) {
   return 'surplus';
 }
 
-// Fetch data from Google Sheets
-async function fetchDataFromSheets(sheetUrl) {
+// Open (or create) the IndexedDB database used as offline cache
+function openCacheDb() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not supported'));
+      return;
+    }
+    const request = indexedDB.open(CACHE_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Read last good payload for a cache key (see getCacheKey): { payload, syncedAt } or null
+async function readCachedPayload(cacheKey) {
+  const db = await openCacheDb();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(CACHE_STORE_NAME, 'readonly').objectStore(CACHE_STORE_NAME).get(cacheKey);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Save payload for a cache key together with the sync timestamp
+async function writeCachedPayload(cacheKey, payload, syncedAt) {
+  const db = await openCacheDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CACHE_STORE_NAME, 'readwrite');
+    tx.objectStore(CACHE_STORE_NAME).put({ payload, syncedAt }, cacheKey);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Remove the saved payload of a cache key
+async function deleteCachedPayload(cacheKey) {
+  const db = await openCacheDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CACHE_STORE_NAME, 'readwrite');
+    tx.objectStore(CACHE_STORE_NAME).delete(cacheKey);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Check whether a sync timestamp is too old to be trusted
+function isCacheStale(syncedAt) {
+  return !syncedAt || Date.now() - syncedAt > CACHE_STALE_AFTER_MS;
+}
+
+// Convert a raw weight row from the sheet into a weightData item (null if invalid)
+// settings: targets of the profile the row belongs to (heights for BMI)
+function parseWeightRow(row, settings = targets) {
+  const w = parseFloat(row.weight);
+  if (isNaN(w) || w <= 0) return null;
+  return {
+    date: row.date,
+    weight: w,
+    bmi: calculateBMI(w, getHeightOnDate(row.date, settings)),
+    year: new Date(row.date).getFullYear()
+  };
+}
+
+// Extra nutrient columns read from kbju_data: the presets and the nutrients tracked in settings
+// Other columns (e.g. steps sent along by a Shortcut before the API ignored them) are skipped
+function getKnownNutrientKeys(settings = targets) {
+  return [...new Set([...Object.keys(NUTRIENT_PRESETS), ...(settings.extraNutrients || []).map(n => n.key)])];
+}
+
+// Convert a raw KBJU row from the sheet into a kbjuData item (null if invalid)
+// Known extra nutrient columns are copied as numbers (null when empty)
+function parseKbjuRow(row, settings = targets) {
+  const calories = parseFloat(row.calories);
+  if (isNaN(calories) || calories <= 0) return null;
+
+  const extras = {};
+  getKnownNutrientKeys(settings)
+    .filter(key => key in row)
+    .forEach(key => {
+      const value = parseFloat(row[key]);
+      extras[key] = isNaN(value) ? null : value;
+    });
+
+  return {
+    ...extras,
+    date: row.date,
+    calories: calories,
+    proteins: row.proteins ? parseFloat(row.proteins) : null,
+    fats: row.fats ? parseFloat(row.fats) : null,
+    carbs: row.carbs ? parseFloat(row.carbs) : null,
+    category: getCalorieCategory(calories, row.date, null, settings),
+    fromDiary: row.diary === true, // Totals summed from food_log: kbju_data had no values for the day
+    month: new Date(row.date).toLocaleString('en', { month: 'short' })
+  };
+}
+
+// Extra nutrient columns that have at least one value in kbjuData
+function getAvailableNutrientKeys() {
+  const keys = new Set();
+  kbjuData.forEach(d => {
+    Object.keys(d).forEach(key => {
+      if (typeof d[key] === 'number' && !KBJU_BASE_KEYS.includes(key)) keys.add(key);
+    });
+  });
+  return [...keys].sort();
+}
+
+// Convert a raw body_data row into a bodyData item (null if it has no measurements)
+// Sheet headers are lower-cased by the API, so bodyFat arrives as "bodyfat"
+function parseBodyRow(row) {
+  if (!row.date) return null;
+  const item = { date: row.date };
+  let hasValue = false;
+  Object.keys(BODY_MEASUREMENTS).forEach(key => {
+    const num = parseFloat(row[key.toLowerCase()]);
+    item[key] = isNaN(num) || num <= 0 ? null : num;
+    if (item[key] !== null) hasValue = true;
+  });
+  return hasValue ? item : null;
+}
+
+// Convert a raw food_log row into a foodLogData entry (null without date or food name)
+function parseFoodRow(row) {
+  if (!row.date || !row.food) return null;
+  const parseOptional = (value) => {
+    const num = parseFloat(value);
+    return isNaN(num) ? null : num;
+  };
+  return {
+    date: row.date,
+    time: row.time || '',
+    meal: row.meal || 'snack',
+    food: row.food,
+    grams: parseOptional(row.grams),
+    calories: parseOptional(row.calories),
+    proteins: parseOptional(row.proteins),
+    fats: parseOptional(row.fats),
+    carbs: parseOptional(row.carbs)
+  };
+}
+
+// Parse a raw doGet payload with the given profile settings: { weightData, kbjuData, foodLogData, bodyData }
+// Doesn't touch the loaded data, so other profiles (coach view) can be parsed while the dashboard is live
+function parseSheetPayload(data, settings = targets) {
+  // Process weight data
+  const weights = (data.weight || []).map(row => parseWeightRow(row, settings))
+    .filter(row => row !== null)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  calculateTrendWeights(weights, settings);
+
+  return {
+    weightData: weights,
+    // Process KBJU data
+    kbjuData: (data.kbju || []).map(row => parseKbjuRow(row, settings)).filter(row => row !== null),
+    // Process food diary entries
+    foodLogData: (data.food || []).map(parseFoodRow).filter(row => row !== null),
+    // Process body measurements
+    bodyData: (data.body || []).map(parseBodyRow)
+      .filter(row => row !== null)
+      .sort((a, b) => a.date.localeCompare(b.date))
+  };
+}
+
+// Fill weightData / kbjuData / foodLogData / bodyData from a raw doGet payload
+function applySheetPayload(data) {
+  ({ weightData, kbjuData, foodLogData, bodyData } = parseSheetPayload(data));
+  return { weightData, kbjuData };
+}
+
+// Dates a delta response replaces for one source: dates with new rows and deleted dates
+function getDeltaDates(delta, source) {
+  const dates = new Set((delta.deleted && delta.deleted[source]) || []);
+  (delta[source] || []).forEach(row => dates.add(row.date));
+  return Array.from(dates);
+}
+
+// Replace all rows of the given dates with updates, in place; the array stays sorted by date
+function mergeRowsByDate(rows, updates, dates) {
+  const replaced = new Set(dates);
+  const kept = rows.filter(row => !replaced.has(row.date));
+  rows.length = 0;
+  kept.concat(updates).forEach(row => rows.push(row));
+  rows.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  return rows;
+}
+
+// Merge a delta doGet response into a full raw payload (the cached copy)
+function mergeSheetDelta(payload, delta) {
+  SHEET_SOURCES.forEach(source => {
+    payload[source] = mergeRowsByDate(payload[source] || [], delta[source] || [], getDeltaDates(delta, source));
+  });
+  payload.revision = delta.revision;
+  return payload;
+}
+
+// Merge a delta doGet response into the loaded weightData / kbjuData / foodLogData / bodyData in place
+function applySheetDelta(delta) {
+  const parsers = { weight: parseWeightRow, kbju: parseKbjuRow, food: parseFoodRow, body: parseBodyRow };
+  const arrays = { weight: weightData, kbju: kbjuData, food: foodLogData, body: bodyData };
+
+  SHEET_SOURCES.forEach(source => {
+    const dates = getDeltaDates(delta, source);
+    if (dates.length === 0) return;
+    const updates = (delta[source] || []).map(row => parsers[source](row)).filter(row => row !== null);
+    mergeRowsByDate(arrays[source], updates, dates);
+  });
+
+  if (getDeltaDates(delta, 'weight').length > 0) calculateTrendWeights(weightData);
+}
+
+// Copy of current data, used to roll back optimistic updates
+function snapshotData() {
+  return {
+    weightData: weightData.map(item => ({ ...item })),
+    kbjuData: kbjuData.map(item => ({ ...item }))
+  };
+}
+
+// Restore data from a snapshot
+function restoreData(snapshot) {
+  weightData = snapshot.weightData;
+  kbjuData = snapshot.kbjuData;
+}
+
+// Apply a POST item to local data the same way doPost merges it into the sheet:
+// weight replaces the day's value, nutrition fields are merged into the day's row
+function upsertLocalEntry(item) {
+  if (item.weight !== undefined) {
+    const parsed = parseWeightRow(item);
+    if (parsed) {
+      weightData = weightData.filter(d => d.date !== item.date);
+      weightData.push(parsed);
+      weightData.sort((a, b) => a.date.localeCompare(b.date));
+      calculateTrendWeights(weightData);
+    }
+  }
+
+  const nutritionKeys = [...KBJU_BASE_KEYS, ...getKnownNutrientKeys()].filter(key => item[key] !== undefined);
+  if (nutritionKeys.length > 0) {
+    const existing = kbjuData.find(d => d.date === item.date) || { date: item.date };
+    const merged = { ...existing };
+    nutritionKeys.forEach(key => { merged[key] = item[key]; });
+
+    const parsed = parseKbjuRow(merged);
+    kbjuData = kbjuData.filter(d => d.date !== item.date);
+    if (parsed) kbjuData.push(parsed);
+    kbjuData.sort((a, b) => a.date.localeCompare(b.date));
+  }
+}
+
+// Drop a day of weight or nutrition from local data, as the doPost "delete" operation does in the sheet
+function removeLocalEntry(date, source) {
+  if (source === 'weight') {
+    weightData = weightData.filter(d => d.date !== date);
+    calculateTrendWeights(weightData);
+  } else if (source === 'kbju') {
+    kbjuData = kbjuData.filter(d => d.date !== date);
+  }
+}
+
+// Apply a POST item to local data: delete and replace operations drop the day first, everything else is upserted
+function applyLocalEntry(item) {
+  if (item.op === 'delete' || item.op === 'replace') removeLocalEntry(item.date, item.sheet);
+  if (item.op !== 'delete') upsertLocalEntry(item);
+}
+
+// Send data to the Apps Script doPost endpoint; source names the writer in change_log,
+// requests with the same batch id (parts of one import) are undone together
+async function postDataToSheets(sheetUrl, payload, source = 'dashboard', batch = null) {
+  if (!sheetUrl) {
+    throw new Error('Google Sheets URL не указан. Добавьте URL в настройках.');
+  }
+
+  // text/plain keeps this a "simple" request, so the browser skips the CORS preflight Apps Script can't answer
+  const response = await fetch(buildSheetRequestUrl(sheetUrl, undefined, undefined, batch ? { source, batch } : { source }), {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+    body: JSON.stringify(payload)
+  });
+  if (!response.ok) {
+    throw new Error(`Ошибка отправки: ${response.status}`);
+  }
+
+  const result = await response.json();
+  if (!result.success) {
+    throw createSheetsError(result);
+  }
+  return result;
+}
+
+// Latest change_log entries of the active profile: { revision, undoRevision, undoRevisions, changes: [...] }
+async function fetchChangeLog(sheetUrl, limit = 50) {
+  if (!sheetUrl) {
+    throw new Error('Google Sheets URL не указан. Добавьте URL в настройках.');
+  }
+
+  const response = await fetch(buildSheetRequestUrl(sheetUrl, undefined, undefined, { changes: limit }));
+  if (!response.ok) {
+    throw new Error(`Ошибка загрузки: ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (!data.success) {
+    throw createSheetsError(data);
+  }
+  return data;
+}
+
+// Restore the values replaced by the last write of the active profile
+async function undoLastSync(sheetUrl) {
+  return postDataToSheets(sheetUrl, { op: 'undo' });
+}
+
+// Whether a day's nutrition totals come from the food diary (edited there, not in kbju_data)
+function isDiaryDay(dateStr) {
+  const day = kbjuData.find(d => d.date === dateStr);
+  return !!(day && day.fromDiary);
+}
+
+// Food diary entries for a given date, ordered by time
+function getFoodLogForDate(dateStr) {
+  return foodLogData
+    .filter(entry => entry.date === dateStr)
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+// Load last good payload from the offline cache (null if there is none)
+async function loadCachedData(sheetUrl) {
+  if (!sheetUrl) return null;
+
+  const cacheKey = getCacheKey(sheetUrl);
+  const cached = await readCachedPayload(cacheKey);
+  if (!cached || !cached.payload) return null;
+
+  applySheetPayload(cached.payload);
+  loadedCacheKey = cacheKey;
+  return { syncedAt: cached.syncedAt, isStale: isCacheStale(cached.syncedAt) };
+}
+
+// Fetch the raw payload of a profile from Google Sheets and refresh its offline cache
+// Returns { payload, delta, cacheKey, syncedAt, changed }: payload is the full merged copy,
+// delta the doGet response when only changes since the cached revision were fetched (null otherwise)
+async function syncSheetPayload(sheetUrl, profile = getActiveProfile()) {
   if (!sheetUrl) {
     throw new Error('Google Sheets URL не указан. Добавьте URL в настройках.');
   }
 
-  const response = await fetch(sheetUrl);
+  const cacheKey = getCacheKey(sheetUrl, profile.user);
+  let cached = null;
+  try {
+    cached = await readCachedPayload(cacheKey);
+  } catch (e) {
+    console.warn('Offline cache unavailable:', e);
+  }
+
+  // Ask only for changes since the cached revision; a cache older than a day is reloaded in full,
+  // which also picks up rows deleted by hand in the sheet (they never reach the sync log)
+  const baseRevision = cached && cached.payload && Number.isInteger(cached.payload.revision) && !isCacheStale(cached.syncedAt)
+    ? cached.payload.revision
+    : null;
+  const params = baseRevision !== null ? { rev: baseRevision } : {};
+
+  const response = await fetch(buildSheetRequestUrl(sheetUrl, getApiToken(profile.id), profile.user, params));
   if (!response.ok) {
     throw new Error(`Ошибка загрузки: ${response.status}`);
   }
@@ -143,81 +955,145 @@ async function fetchDataFromSheets(sheetUrl) {
   const data = await response.json();
 
   if (!data.success) {
-    throw new Error(data.error || 'Unknown error from Sheets');
+    throw createSheetsError(data);
   }
 
-  // Process weight data
-  weightData = (data.weight || []).map(row => {
-    const w = parseFloat(row.weight);
-    return {
-      date: row.date,
-      weight: !isNaN(w) && w > 0 ? w : null,
-      bmi: !isNaN(w) && w > 0 ? calculateBMI(w) : null,
-      week: getWeekEndingSunday(row.date), // Use Sunday as grouping key
-      year: new Date(row.date).getFullYear()
-    };
-  }).filter(row => row.weight !== null);
+  // Compare with the cached copy so callers can skip a redundant re-render
+  const syncedAt = Date.now();
+  const isDelta = data.delta && baseRevision !== null;
+  const payload = isDelta ? mergeSheetDelta(cached.payload, data) : data;
+  const changed = isDelta
+    ? SHEET_SOURCES.some(source => getDeltaDates(data, source).length > 0)
+    : !cached || JSON.stringify(cached.payload) !== JSON.stringify(data);
+  try {
+    await writeCachedPayload(cacheKey, payload, syncedAt);
+  } catch (e) {
+    console.warn('Failed to update offline cache:', e);
+  }
 
-  // Process KBJU data
-  kbjuData = (data.kbju || []).map(row => ({
-    date: row.date,
-    calories: parseFloat(row.calories),
-    proteins: row.proteins ? parseFloat(row.proteins) : null,
-    fats: row.fats ? parseFloat(row.fats) : null,
-    carbs: row.carbs ? parseFloat(row.carbs) : null,
-    category: getCalorieCategory(parseFloat(row.calories)),
-    week: getWeekEndingSunday(row.date), // Use Sunday as grouping key
-    month: new Date(row.date).toLocaleString('en', { month: 'short' })
-  })).filter(row => !isNaN(row.calories) && row.calories > 0);
+  return { payload, delta: isDelta ? data : null, cacheKey, syncedAt, changed };
+}
 
-  return { weightData, kbjuData };
+// Fetch data of the active profile from Google Sheets into weightData / kbjuData / foodLogData / bodyData
+async function fetchDataFromSheets(sheetUrl) {
+  const { payload, delta, cacheKey, syncedAt, changed } = await syncSheetPayload(sheetUrl);
+
+  // Data of this sheet already in memory is updated in place; another sheet's is replaced
+  if (delta && loadedCacheKey === cacheKey) {
+    applySheetDelta(delta);
+  } else {
+    applySheetPayload(payload);
+  }
+  loadedCacheKey = cacheKey;
+  return { weightData, kbjuData, syncedAt, changed };
 }
 
-// Get weekly averages for weight/BMI
-function getWeeklyAverages(data) {
-  const weeks = {};
+// Recompute BMI of every weight entry from the height in effect on its date
+function recalculateBMI() {
+  weightData.forEach(item => {
+    const height = getHeightOnDate(item.date);
+    item.bmi = calculateBMI(item.weight, height);
+    item.trendBmi = calculateBMI(item.trend, height);
+  });
+}
+
+// Trend weight: exponentially weighted moving average of scale weight (Hacker's Diet / Libra)
+// Adds trend, trendBmi and weekly rate of change (kg/week and % bodyweight/week) to each item
+// Expects data sorted by date
+function calculateTrendWeights(data, settings = targets) {
+  const alpha = settings.trendSmoothing;
+  const smoothing = alpha > 0 && alpha <= 1 ? alpha : 0.1;
+  let trend = null;
+  let prevDate = null;
+
+  data.forEach(item => {
+    if (trend === null) {
+      trend = item.weight;
+    } else {
+      // Missed days count as several smoothing steps towards the new reading
+      const gap = Math.max(1, getDaysBetween(prevDate, item.date));
+      trend += (1 - Math.pow(1 - smoothing, gap)) * (item.weight - trend);
+    }
+    prevDate = item.date;
+    item.trend = parseFloat(trend.toFixed(2));
+    item.trendBmi = calculateBMI(item.trend, getHeightOnDate(item.date, settings));
+  });
+
+  // Weekly rate: trend change against the latest point at least 7 days earlier
+  data.forEach((item, i) => {
+    const weekAgo = shiftDate(item.date, -7);
+    let ref = null;
+    for (let j = i - 1; j >= 0; j--) {
+      if (data[j].date <= weekAgo) {
+        ref = data[j];
+        break;
+      }
+    }
+
+    if (!ref) {
+      item.trendRate = null;
+      item.trendRatePct = null;
+      return;
+    }
+
+    const rate = (item.trend - ref.trend) / getDaysBetween(ref.date, item.date) * 7;
+    item.trendRate = parseFloat(rate.toFixed(2));
+    item.trendRatePct = parseFloat((rate / item.trend * 100).toFixed(2));
+  });
+
+  return data;
+}
+
+// Format weekly trend rate as "-0.45 кг/нед (-0.57%)"
+function formatTrendRate(item) {
+  if (!item || item.trendRate === null || item.trendRate === undefined) return '';
+  const sign = (v) => v > 0 ? '+' : '';
+  return `${sign(item.trendRate)}${item.trendRate.toFixed(2)} кг/нед (${sign(item.trendRatePct)}${item.trendRatePct.toFixed(2)}%/нед)`;
+}
+
+// Get weight/BMI averages per bucket (see AGGREGATION_PERIODS), with the bucket's average calories
+function getPeriodAverages(data, period) {
+  const buckets = {};
   const today = new Date().toISOString().split('T')[0];
 
-  // Helper to get stats for a week
-  const getWeeklyNutrition = (weekKey) => {
-    const weeklyCalories = kbjuData
-      .filter(d => d.week === weekKey)
+  // Helper to get nutrition stats for a bucket
+  const getPeriodNutrition = (start, end) => {
+    const periodCalories = kbjuData
+      .filter(d => d.date >= start && d.date <= end)
       .map(d => d.calories);
 
-    if (weeklyCalories.length === 0) return { avg: null, category: null };
-    const avgCal = Math.round(weeklyCalories.reduce((a, b) => a + b, 0) / weeklyCalories.length);
-    return { avg: avgCal, category: getCalorieCategory(avgCal) };
+    if (periodCalories.length === 0) return { avg: null, category: null };
+    const avgCal = Math.round(periodCalories.reduce((a, b) => a + b, 0) / periodCalories.length);
+    return { avg: avgCal, category: getCalorieCategory(avgCal, end, start) };
   };
 
   data.forEach(item => {
-    const weekKey = item.week;
-    const sunday = new Date(weekKey);
-    const monday = new Date(sunday);
-    monday.setDate(monday.getDate() - 6);
-    const mondayStr = monday.toISOString().split('T')[0];
-
-    // Skip if the week starts in the future
-    if (mondayStr > today) return;
-
-    if (!weeks[weekKey]) {
-      const nutrition = getWeeklyNutrition(weekKey);
-      weeks[weekKey] = {
+    const { start, end } = getPeriodRange(item.date, period);
+
+    // Skip if the bucket starts in the future
+    if (start > today) return;
+
+    if (!buckets[end]) {
+      const nutrition = getPeriodNutrition(start, end);
+      buckets[end] = {
+        start,
         weight: [],
         bmi: [],
-        isIncomplete: weekKey > today,
+        isIncomplete: end > today,
         avgCalories: nutrition.avg,
         calorieCategory: nutrition.category
       };
     }
-    if (item.weight && item.weight > 0) weeks[weekKey].weight.push(item.weight);
-    if (item.bmi && item.bmi > 0) weeks[weekKey].bmi.push(item.bmi);
+    if (item.weight && item.weight > 0) buckets[end].weight.push(item.weight);
+    if (item.bmi && item.bmi > 0) buckets[end].bmi.push(item.bmi);
   });
 
-  return Object.entries(weeks)
+  return Object.entries(buckets)
     .sort((a, b) => a[0].localeCompare(b[0]))
-    .map(([weekKey, values]) => ({
-      week: formatDateDDMM(weekKey),
-      fullDate: weekKey,
+    .map(([end, values]) => ({
+      start: values.start,
+      fullDate: end,
+      period,
       avgWeight: values.weight.length > 0
         ? (values.weight.reduce((a, b) => a + b, 0) / values.weight.length).toFixed(1)
         : null,
@@ -230,35 +1106,40 @@ function getWeeklyAverages(data) {
     }));
 }
 
-// Aggregate data by week for charts
-// Uses fullData to calculate averages for all weeks that have at least one day in filteredData
-function aggregateDataByWeek(fullData, filteredData, key) {
-  const visibleWeeks = new Set(filteredData.map(d => getWeekEndingSunday(d.date)));
-  const weeklyMap = {};
+// Aggregate data by bucket for charts ('day' returns filteredData as is)
+// Uses fullData to calculate averages for all buckets that have at least one day in filteredData
+function aggregateDataByPeriod(fullData, filteredData, key, period) {
+  if (period === 'day') return filteredData;
+
+  const visibleBuckets = new Set(filteredData.map(d => getPeriodRange(d.date, period).end));
+  const bucketMap = {};
   const today = new Date().toISOString().split('T')[0];
 
   fullData.forEach(d => {
-    if (d[key] === null) return;
-    const weekKey = getWeekEndingSunday(d.date);
-    if (!visibleWeeks.has(weekKey)) return;
+    if (d[key] === null || d[key] === undefined) return;
+    const { start, end } = getPeriodRange(d.date, period);
+    if (!visibleBuckets.has(end)) return;
 
-    if (!weeklyMap[weekKey]) {
-      weeklyMap[weekKey] = {
+    if (!bucketMap[end]) {
+      bucketMap[end] = {
+        start,
         sum: 0,
         count: 0,
-        isIncomplete: weekKey > today
+        isIncomplete: end > today
       };
     }
-    weeklyMap[weekKey].sum += d[key];
-    weeklyMap[weekKey].count++;
+    bucketMap[end].sum += d[key];
+    bucketMap[end].count++;
   });
 
-  return Object.entries(weeklyMap)
+  return Object.entries(bucketMap)
     .sort((a, b) => a[0].localeCompare(b[0]))
     .map(([date, values]) => ({
       date: date,
+      start: values.start,
+      period,
       [key]: values.sum / values.count,
-      isWeekly: true,
+      isAggregated: true,
       isIncomplete: values.isIncomplete
     }));
 }
@@ -272,19 +1153,47 @@ function getCategoryDistribution(data) {
   return categories;
 }
 
+// Whether a value meets an extra nutrient target (see NUTRIENT_DIRECTIONS)
+function isNutrientOnTarget(value, nutrient) {
+  if (nutrient.direction === 'min') return value >= nutrient.min;
+  if (nutrient.direction === 'max') return value <= nutrient.max;
+  return value >= nutrient.min && value <= nutrient.max;
+}
+
+// Extra nutrient stats in the same shape as getMacroStats
+function getNutrientStats(data, nutrient) {
+  const validData = data.filter(item => item[nutrient.key] !== null && item[nutrient.key] !== undefined);
+  const target = nutrient.direction === 'min' ? nutrient.min : nutrient.max;
+  if (validData.length === 0) return { avg: 0, target, total: 0, successCount: 0, successRate: 0 };
+
+  const avg = validData.reduce((sum, item) => sum + item[nutrient.key], 0) / validData.length;
+  const successCount = validData.filter(item => isNutrientOnTarget(item[nutrient.key], nutrient)).length;
+
+  return {
+    avg: avg.toFixed(1),
+    target,
+    total: validData.length,
+    successCount,
+    successRate: Math.round((successCount / validData.length) * 100)
+  };
+}
+
 // Get macro stats (average and success rate)
-function getMacroStats(data, macro) {
-  const validData = data.filter(item => item[macro] !== null);
-  if (validData.length === 0) return { avg: 0, distribution: { below: 0, within: 0, above: 0 }, total: 0, successRate: 0 };
+// Each item is compared with the target that applied on its date (in the given profile settings)
+function getMacroStats(data, macro, settings = targets) {
+  const validData = data.filter(item => item[macro] !== null && item[macro] !== undefined);
+  if (validData.length === 0) return { avg: 0, target: settings[macro], distribution: { below: 0, within: 0, above: 0 }, total: 0, successRate: 0 };
 
   const avg = validData.reduce((sum, item) => sum + item[macro], 0) / validData.length;
 
-  const target = targets[macro];
   const distribution = { below: 0, within: 0, above: 0 };
   let successCount = 0;
+  let targetSum = 0;
 
   validData.forEach(item => {
     const val = item[macro];
+    const target = getTargetsForItem(item, settings)[macro];
+    targetSum += target;
     if (val < target) distribution.below++;
     else if (val > target) distribution.above++;
     else distribution.within++;
@@ -304,6 +1213,7 @@ function getMacroStats(data, macro) {
 
   return {
     avg: avg.toFixed(1),
+    target: targetSum / validData.length,
     distribution,
     total: validData.length,
     successCount: successCount,
@@ -334,5 +1244,32 @@ function getDateRange(data) {
   return { min: dates[0], max: dates[dates.length - 1] };
 }
 
+// Move items of a comparison range onto the primary range by day offset from each range start
+// date becomes the matching day of the primary range, sourceDate keeps the original one;
+// items past the end of the primary range are dropped
+function alignComparisonByOffset(items, primaryRange, comparisonRange) {
+  return items
+    .map(d => ({
+      ...d,
+      date: shiftDate(primaryRange.start, getDaysBetween(comparisonRange.start, d.date)),
+      sourceDate: d.date
+    }))
+    .filter(d => d.date <= primaryRange.end);
+}
+
+// Comparison item for every primary chart item (or null): daily items are matched by day offset,
+// aggregated buckets by position, since bucket boundaries of the two ranges differ
+function getComparisonPoints(primaryItems, comparisonItems, primaryRange, comparisonRange) {
+  if (primaryItems.some(d => d.isAggregated)) {
+    return primaryItems.map((_, i) => comparisonItems[i] || null);
+  }
+
+  const byDate = {};
+  alignComparisonByOffset(comparisonItems, primaryRange, comparisonRange).forEach(d => {
+    byDate[d.date] = d;
+  });
+  return primaryItems.map(d => byDate[d.date] || null);
+}
+
 // Initialize settings on load
 loadSettings();
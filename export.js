@@ -0,0 +1,267 @@
+// Export: filtered data as CSV/JSON and a printable report with charts and summary stats
+
+const EXPORT_CSV_DELIMITER = ';'; // Excel with Russian locale expects semicolons
+
+// Charts included in the printed report, in page order
+const exportChartTitles = {
+    weight: '📉 Динамика веса',
+    bmi: '📊 Динамика BMI',
+    calorie: '🔥 Динамика калорий',
+    distribution: '🍩 Распределение по зонам',
+    tdee: '⚡ Оценка расхода энергии (TDEE)',
+    weekday: '📆 Средние по дням недели',
+    proteins: '🥩 Белки',
+    fats: '🧈 Жиры',
+    carbs: '🍞 Углеводы'
+};
+
+const exportModal = document.getElementById('exportModal');
+
+// Selected range of a date picker, or the full data range if nothing is selected
+function getPickerRange(picker, data) {
+    if (picker && picker.selectedDates.length === 2) {
+        return {
+            from: formatDateToString(picker.selectedDates[0]),
+            to: formatDateToString(picker.selectedDates[1])
+        };
+    }
+    const range = getDateRange(data);
+    return { from: range.min, to: range.max };
+}
+
+const roundTo = (value, digits = 1) => value === null || value === undefined
+    ? null
+    : parseFloat(Number(value).toFixed(digits));
+
+// Weight rows for the metrics range: daily readings or bucket averages (dated by the bucket end)
+function getExportWeightRows(range, view) {
+    const data = filterByDateRange(weightData, range.from, range.to);
+
+    if (view !== 'day') {
+        return getPeriodAverages(data, view).map(w => ({
+            date: w.fullDate,
+            weight: roundTo(w.avgWeight),
+            bmi: roundTo(w.avgBmi)
+        }));
+    }
+
+    return data.map(d => ({
+        date: d.date,
+        weight: d.weight,
+        bmi: roundTo(d.bmi),
+        trend: roundTo(d.trend, 2)
+    }));
+}
+
+// Nutrition rows for the nutrition range: daily values or bucket averages (dated by the bucket end)
+// Buckets keep start / isAggregated so the report grades them like the dashboard (getTargetsForItem)
+function getExportKbjuRows(range, view) {
+    const data = filterByDateRange(kbjuData, range.from, range.to);
+
+    const extraKeys = getExportNutrientKeys();
+
+    if (view !== 'day') {
+        const buckets = {};
+        [...KBJU_BASE_KEYS, ...extraKeys].forEach(key => {
+            aggregateDataByPeriod(kbjuData, data, key, view).forEach(w => {
+                if (!buckets[w.date]) buckets[w.date] = { date: w.date, start: w.start, isAggregated: true };
+                buckets[w.date][key] = roundTo(w[key], key === 'calories' ? 0 : 1);
+            });
+        });
+        return Object.values(buckets)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(w => ({ ...w, category: w.calories ? getCalorieCategory(w.calories, w.date, w.start) : null }));
+    }
+
+    return data.map(d => ({
+        date: d.date,
+        calories: d.calories,
+        proteins: d.proteins,
+        fats: d.fats,
+        carbs: d.carbs,
+        ...Object.fromEntries(extraKeys.map(key => [key, d[key] !== undefined ? d[key] : null])),
+        category: d.category
+    }));
+}
+
+// Rows as written to the files, without the bucket bounds used for grading
+function getExportFileRows(rows) {
+    return rows.map(({ start, isAggregated, ...row }) => row);
+}
+
+// Extra nutrient columns tracked in settings
+function getExportNutrientKeys() {
+    return (targets.extraNutrients || []).map(nutrient => nutrient.key);
+}
+
+// Everything the export menu writes out
+// Each section is grouped by its own toggle (view: nutrition grouping, metricsView: weight grouping)
+function getExportDataset() {
+    const metricsRange = getPickerRange(metricsDatePicker, weightData);
+    const nutritionRange = getPickerRange(nutritionDatePicker, kbjuData);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        view: nutritionView,
+        metricsView,
+        ranges: { metrics: metricsRange, nutrition: nutritionRange },
+        weight: getExportWeightRows(metricsRange, metricsView),
+        kbju: getExportKbjuRows(nutritionRange, nutritionView)
+    };
+}
+
+// One CSV row per date; weight and nutrition columns are filled only inside their own ranges
+function buildExportCsv(dataset) {
+    const columns = ['date', 'weight', 'bmi', 'trend', 'calories', 'proteins', 'fats', 'carbs', ...getExportNutrientKeys(), 'category'];
+    const byDate = {};
+    [...dataset.weight, ...getExportFileRows(dataset.kbju)].forEach(row => {
+        byDate[row.date] = { ...(byDate[row.date] || {}), ...row };
+    });
+
+    const escapeCell = (value) => {
+        if (value === null || value === undefined) return '';
+        const str = String(value);
+        return /[";\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const lines = Object.keys(byDate).sort().map(date =>
+        columns.map(col => escapeCell(byDate[date][col])).join(EXPORT_CSV_DELIMITER));
+
+    return [columns.join(EXPORT_CSV_DELIMITER), ...lines].join('\n');
+}
+
+// Trigger a browser download
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function getExportFileName(dataset, extension) {
+    const from = [dataset.ranges.metrics.from, dataset.ranges.nutrition.from].filter(Boolean).sort()[0];
+    const to = [dataset.ranges.metrics.to, dataset.ranges.nutrition.to].filter(Boolean).sort().pop();
+    return `kbju_${dataset.view}_${from}_${to}.${extension}`;
+}
+
+function exportCsv() {
+    const dataset = getExportDataset();
+    // BOM so Excel detects UTF-8
+    downloadFile('\uFEFF' + buildExportCsv(dataset), getExportFileName(dataset, 'csv'), 'text/csv;charset=utf-8');
+}
+
+function exportJson() {
+    const dataset = getExportDataset();
+    downloadFile(JSON.stringify({ ...dataset, kbju: getExportFileRows(dataset.kbju) }, null, 2), getExportFileName(dataset, 'json'), 'application/json');
+}
+
+// Summary stats block for the report
+function buildReportSummary(dataset) {
+    const rows = [];
+    const period = dataset.view;
+
+    const weights = dataset.weight.filter(d => d.weight);
+    if (weights.length > 0) {
+        const first = weights[0].weight;
+        const last = weights[weights.length - 1].weight;
+        const change = last - first;
+        rows.push(['Вес', `${first.toFixed(1)} → ${last.toFixed(1)} кг (${change > 0 ? '+' : ''}${change.toFixed(1)} кг)`]);
+    }
+
+    const calorieRows = dataset.kbju.filter(d => d.calories);
+    if (calorieRows.length > 0) {
+        const avg = calorieRows.reduce((sum, d) => sum + d.calories, 0) / calorieRows.length;
+        rows.push(['Калории', `в среднем ${formatNumber(Math.round(avg))} ккал (${calorieRows.length} ${pluralizePeriod(calorieRows.length, period)})`]);
+
+        const distribution = getCategoryDistribution(calorieRows);
+        Object.keys(zoneLabels).forEach(zone => {
+            if (!distribution[zone]) return;
+            const pct = Math.round((distribution[zone] / calorieRows.length) * 100);
+            rows.push([zoneLabels[zone], `${distribution[zone]} ${pluralizePeriod(distribution[zone], period)} (${pct}%)`]);
+        });
+    }
+
+    const macroNames = { proteins: 'Белки', fats: 'Жиры', carbs: 'Углеводы' };
+    Object.entries(macroNames).forEach(([macro, name]) => {
+        const stats = getMacroStats(dataset.kbju.filter(d => d[macro] !== null && d[macro] !== undefined), macro);
+        if (stats.total === 0) return;
+        rows.push([name, `в среднем ${stats.avg} г при цели ${Math.round(stats.target)} г, в норме ${stats.successRate}% ${AGGREGATION_PERIODS[period].forms[2]}`]);
+    });
+
+    const tdee = getCurrentTDEE();
+    if (tdee) rows.push(['Расход (TDEE)', `~${formatNumber(tdee.tdee)} ккал в день`]);
+
+    return `
+        <table class="report-summary">
+            ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}
+        </table>
+    `;
+}
+
+// Build the print-only report and open the print dialog ("Save as PDF" in the browser)
+function printReport() {
+    const dataset = getExportDataset();
+    const report = document.getElementById('printReport');
+
+    const chartBlocks = Object.entries(exportChartTitles)
+        .filter(([key]) => charts[key])
+        .map(([key, title]) => `
+            <div class="report-chart">
+                <div class="report-chart-title">${title}</div>
+                <img src="${charts[key].toBase64Image()}" alt="${title}">
+            </div>
+        `).join('');
+
+    const { metrics, nutrition } = dataset.ranges;
+    report.innerHTML = `
+        <h1>Отчёт о прогрессе</h1>
+        <div class="report-meta">
+            Вес: ${formatDisplayDate(metrics.from)} — ${formatDisplayDate(metrics.to)} (${AGGREGATION_PERIODS[dataset.metricsView].title}) ·
+            Питание: ${formatDisplayDate(nutrition.from)} — ${formatDisplayDate(nutrition.to)} (${AGGREGATION_PERIODS[dataset.view].title})
+        </div>
+        ${buildReportSummary(dataset)}
+        ${chartBlocks}
+    `;
+
+    closeExportMenu();
+    window.print();
+}
+
+function openExportMenu() {
+    const metrics = getPickerRange(metricsDatePicker, weightData);
+    const nutrition = getPickerRange(nutritionDatePicker, kbjuData);
+    document.getElementById('exportRangeInfo').innerHTML = `
+        <div>⚖️ Вес: ${formatDisplayDate(metrics.from)} — ${formatDisplayDate(metrics.to)}, ${AGGREGATION_PERIODS[metricsView].title}</div>
+        <div>🔥 Питание: ${formatDisplayDate(nutrition.from)} — ${formatDisplayDate(nutrition.to)}, ${AGGREGATION_PERIODS[nutritionView].title}</div>
+    `;
+    exportModal.classList.add('active');
+}
+
+function closeExportMenu() {
+    exportModal.classList.remove('active');
+}
+
+// Export menu handlers
+document.getElementById('openExport').addEventListener('click', openExportMenu);
+document.getElementById('closeExport').addEventListener('click', closeExportMenu);
+document.getElementById('exportCsv').addEventListener('click', exportCsv);
+document.getElementById('exportJson').addEventListener('click', exportJson);
+document.getElementById('exportReport').addEventListener('click', printReport);
+window.addEventListener('afterprint', () => {
+    document.getElementById('printReport').innerHTML = '';
+});
+exportModal.addEventListener('click', (e) => {
+    if (e.target === exportModal) {
+        closeExportMenu();
+    }
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && exportModal.classList.contains('active')) {
+        closeExportMenu();
+    }
+});
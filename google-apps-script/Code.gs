@@ -1,8 +1,62 @@
 /**
  * KBJU Dashboard API
- * Version: v16 (Ultra-Flexible Date Parser)
+ * Version: v24 (Change log and undo)
+ *
+ * Auth: set Script Property API_TOKEN (Project Settings → Script Properties); until it is set every request
+ * is refused. Clients pass it as ?token=... in the URL or as "token" field of a JSON object payload.
+ *
+ * Several people in one spreadsheet: pass ?user=anna (or "user" field of an item) to read and
+ * write tabs with that prefix (anna_weight_data, anna_kbju_data, ...). Without it the plain tabs are used.
+ *
+ * Incremental sync: every write bumps the revision (Script Property DATA_REVISION) and logs the dates
+ * it touched to sync_log. doGet?rev=N (or ?since=YYYY-MM-DD) returns only rows of dates changed after
+ * revision N (or on/after that day) plus the dates that no longer have rows; every response carries "revision".
+ *
+ * Edits: an item with "op" changes one day of weight_data, kbju_data or body_data ("sheet": "weight" | "kbju" | "body"):
+ * delete — removes the day, patch — updates the given fields of an existing day, replace — overwrites
+ * the whole day. The response lists { op, sheet, date, before, after } for every operation.
+ *
+ * Audit: every field a write changes goes to change_log (revision, timestamp, source, user, sheet, date,
+ * field, old and new value); ?source=... of doPost names the writer. doGet?changes=50 lists the latest
+ * entries; POST { "op": "undo" } restores the values of the last write (or of { "revision": N }).
+ * Writes sent with the same ?batch=... (e.g. the parts of one import) are undone together.
  */
 
+const FOOD_LOG_HEADERS = ['Date', 'Time', 'Meal', 'Food', 'Grams', 'Calories', 'Proteins', 'Fats', 'Carbs'];
+const WEIGHT_HEADERS = ['Date', 'Weight'];
+const KBJU_HEADERS = ['Date', 'Calories', 'Proteins', 'Fats', 'Carbs'];
+const KBJU_COLUMNS = ['calories', 'proteins', 'fats', 'carbs'];
+
+// Body measurements (circumferences in cm, body fat in %), stored on the body_data sheet
+const BODY_HEADERS = ['Date', 'Waist', 'Hips', 'Chest', 'Arm', 'Thigh', 'Neck', 'BodyFat'];
+const BODY_KEYS = ['waist', 'hips', 'chest', 'arm', 'thigh', 'neck', 'bodyfat'];
+
+// Nutrient columns kbju_data accepts: KBJU and the dashboard's nutrient presets. Columns already in the
+// kbju_data header are accepted too; more can be allowed with Script Property EXTRA_NUTRIENTS ("iron,zinc")
+const NUTRIENT_KEYS = KBJU_COLUMNS.concat(['fiber', 'sugar', 'sodium', 'water', 'alcohol']);
+
+// Explicit edit operations and the tabs they apply to
+const ROW_OPERATIONS = ['delete', 'patch', 'replace'];
+const OPERATION_SHEETS = { weight: 'weight_data', kbju: 'kbju_data', body: 'body_data' };
+
+// Incremental sync log
+const SYNC_LOG_HEADERS = ['Revision', 'Timestamp', 'User', 'Sheet', 'Date'];
+const SYNC_LOG_MAX_ROWS = 5000; // Older entries are dropped; clients behind them get a full reload
+const SYNC_SOURCES = { weight_data: 'weight', kbju_data: 'kbju', food_log: 'food', body_data: 'body' };
+
+// Field-level audit log
+const CHANGE_LOG_HEADERS = ['Revision', 'Timestamp', 'Source', 'User', 'Sheet', 'Date', 'Field', 'Old', 'New', 'Batch'];
+const CHANGE_LOG_MAX_ROWS = 10000;
+const CHANGE_LIST_MAX = 500; // Largest ?changes=N
+
+// Meal names accepted in payloads (English keys + Russian aliases)
+const MEAL_ALIASES = {
+  breakfast: 'breakfast', 'завтрак': 'breakfast',
+  lunch: 'lunch', 'обед': 'lunch',
+  dinner: 'dinner', 'ужин': 'dinner',
+  snack: 'snack', 'перекус': 'snack'
+};
+
 function logToSheet(message) {
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -17,16 +71,72 @@ function logToSheet(message) {
   }
 }
 
+// Check shared-secret token against Script Property API_TOKEN
+// If the property is not set, nothing is authorized: the web app URL alone must not open the data
+function isAuthorized(e, payload) {
+  const expected = PropertiesService.getScriptProperties().getProperty('API_TOKEN');
+  if (!expected) return false;
+
+  let token = e && e.parameter ? e.parameter.token : undefined;
+  if (!token && payload && !Array.isArray(payload)) token = getVal(payload, 'token');
+
+  return typeof token === 'string' && safeEquals(token, expected);
+}
+
+// Constant-time string comparison (doesn't leak how many characters matched)
+function safeEquals(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function createUnauthorizedResponse() {
+  if (!PropertiesService.getScriptProperties().getProperty('API_TOKEN')) {
+    logToSheet("⛔ API_TOKEN is not set: request refused. Add it in Project Settings → Script Properties");
+    return createJsonResponse({
+      success: false,
+      code: 401,
+      reason: 'token_not_configured',
+      error: 'Unauthorized: API_TOKEN is not set. Add it in Project Settings → Script Properties'
+    });
+  }
+  return createJsonResponse({ success: false, code: 401, error: 'Unauthorized: invalid or missing token' });
+}
+
 function doGet(e) {
   try {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet();
-    const weightData = getSheetData(sheet.getSheetByName('weight_data'));
-    const kbjuData = getSheetData(sheet.getSheetByName('kbju_data'));
+    if (!isAuthorized(e, null)) return createUnauthorizedResponse();
+
+    const params = e && e.parameter ? e.parameter : {};
+    const user = normalizeUser(params.user);
+    if (params.changes !== undefined) return createJsonResponse(listChanges(user, parseInt(params.changes, 10) || 50));
+
+    // Read before the data: a write in between is sent again on the next sync instead of being lost
+    const revision = getRevision();
+
+    const fromRevision = /^\d+$/.test(params.rev || '') ? parseInt(params.rev, 10) : null;
+    const since = params.since ? normalizeDate(params.since) : null;
+    if (fromRevision !== null || since) {
+      const changed = getChangedDates(user, fromRevision, since);
+      if (changed) return createJsonResponse(buildDeltaResponse(user, revision, changed));
+    }
+
+    const weightData = getSheetData(getUserSheet('weight_data', user));
+    const foodLog = getFoodLogData(getUserSheet('food_log', user));
+    const kbjuData = mergeFoodLogTotals(getSheetData(getUserSheet('kbju_data', user)), foodLog);
+    const bodyData = getSheetData(getUserSheet('body_data', user));
     
     return createJsonResponse({
       success: true,
+      user: user,
+      revision: revision,
       weight: weightData,
-      kbju: kbjuData
+      kbju: kbjuData,
+      food: foodLog,
+      body: bodyData
     });
   } catch (error) {
     return createJsonResponse({ success: false, error: error.toString() });
@@ -40,48 +150,69 @@ function doPost(e) {
     // logToSheet("📦 RAW PAYLOAD: " + rawContent.substring(0, 500)); 
 
     const contents = JSON.parse(rawContent);
+    if (!isAuthorized(e, contents)) {
+      logToSheet("⛔ Unauthorized doPost rejected");
+      return createUnauthorizedResponse();
+    }
+
     const dataArray = Array.isArray(contents) ? contents : [contents];
     
     if (dataArray.length === 0) return createJsonResponse({ success: false, error: 'Empty data' });
 
-    const weightItems = [];
-    const kbjuItems = [];
+    // Group items by person: the item's "user" field wins over ?user= of the request
+    const requestUser = normalizeUser(e && e.parameter ? e.parameter.user : undefined);
+    // Writer for change_log (dashboard, import, shortcut...); "undo:N" is reserved for undo writes
+    const source = (e && e.parameter && e.parameter.source ? e.parameter.source : 'api').toString().toLowerCase().replace(/[^a-z0-9_-]/g, '') || 'api';
+    // Several requests of one logical write (an import sent in parts) share a batch id and are undone together
+    const batch = (e && e.parameter && e.parameter.batch ? e.parameter.batch : '').toString().toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, 40);
 
-    // Split data into buckets
+    if (!Array.isArray(contents) && String(getVal(contents, 'op')).toLowerCase() === 'undo') {
+      return createJsonResponse(handleUndo(normalizeUser(getVal(contents, 'user')) || requestUser, getVal(contents, 'revision')));
+    }
+    const groups = {};
     dataArray.forEach(item => {
-      // Check for Weight
-      if (getVal(item, 'weight') !== undefined) {
-        weightItems.push(item);
-      }
-      // Check for ANY nutrition field. Note: an item can be BOTH (technically), though usually separate.
-      if (getVal(item, 'calories') !== undefined || 
-          getVal(item, 'proteins') !== undefined || 
-          getVal(item, 'fats') !== undefined || 
-          getVal(item, 'carbs') !== undefined) {
-        kbjuItems.push(item);
-      }
+      const user = normalizeUser(getVal(item, 'user')) || requestUser;
+      (groups[user] = groups[user] || []).push(item);
     });
 
-    let message = [];
-
-    // Process Weight bucket
-    if (weightItems.length > 0) {
-      handleWeightUpdate(weightItems);
-      message.push(`Weight processed (${weightItems.length} items)`);
+    // Operations are checked before anything is written: a batch with an invalid one is refused as a whole
+    const isOperation = item => getVal(item, 'op') !== undefined;
+    const invalid = [];
+    Object.keys(groups).forEach(user => {
+      groups[user].filter(isOperation).map(item => checkRowOperation(item, user)).filter(check => check.error).forEach(check => invalid.push(check));
+    });
+    if (invalid.length > 0) {
+      return createJsonResponse({ success: false, error: invalid.map(check => check.error).join('; '), operations: invalid });
     }
 
-    // Process KBJU bucket
-    if (kbjuItems.length > 0) {
-      handleKBJUUpdate(kbjuItems);
-      message.push(`KBJU processed (${kbjuItems.length} items)`);
+    let message = [];
+    const changes = [];
+    const operations = [];
+    Object.keys(groups).forEach(user => {
+      groups[user].filter(isOperation).forEach(item => operations.push(handleRowOperation(item, user, changes)));
+      message = message.concat(processItems(groups[user].filter(item => !isOperation(item)), user, changes));
+    });
+
+    if (operations.length > 0) {
+      const revision = recordChanges(changes, source, batch);
+      const failed = operations.filter(result => result.error);
+      if (failed.length === 0) message.push(`${operations.length} operations processed`);
+      return createJsonResponse({
+        success: failed.length === 0,
+        error: failed.length > 0 ? failed.map(result => result.error).join('; ') : undefined,
+        message: message.join(', '),
+        revision: revision,
+        operations: operations
+      });
     }
 
     if (message.length === 0) {
        logToSheet("⚠️ No valid keys found. Keys in first item: " + Object.keys(dataArray[0]).join(','));
-       return createJsonResponse({ success: false, error: 'No valid weight or nutrition keys found in data.' });
+       return createJsonResponse({ success: false, error: 'No valid weight, nutrition or body keys found in data.' });
     }
 
-    return createJsonResponse({ success: true, message: message.join(', ') });
+    const revision = recordChanges(changes, source, batch);
+    return createJsonResponse({ success: true, message: message.join(', '), revision: revision });
 
   } catch (error) {
     logToSheet("🔥 Error in doPost: " + error.toString());
@@ -89,8 +220,477 @@ function doPost(e) {
   }
 }
 
-function handleWeightUpdate(dataArray) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('weight_data');
+// Split items of one person into buckets and write each to its tab; returns log messages
+// Written days are added to changes ({ user, sheet, date, before, after }) for the sync and change logs
+function processItems(dataArray, user, changes) {
+  const weightItems = [];
+  const kbjuItems = [];
+  const foodItems = [];
+  const bodyItems = [];
+  const nutrientKeys = getAllowedNutrientKeys(user);
+
+  // Split data into buckets
+  dataArray.forEach(item => {
+    // Food diary entries (per meal) are rolled up into daily totals on read
+    if (getVal(item, 'food') !== undefined || getVal(item, 'meal') !== undefined) {
+      foodItems.push(item);
+      return;
+    }
+    // Check for Weight
+    if (getVal(item, 'weight') !== undefined) {
+      weightItems.push(item);
+    }
+    // Check for body measurements (waist, hips, ..., bodyFat)
+    if (BODY_KEYS.some(key => parseNum(getVal(item, key)) !== undefined)) {
+      bodyItems.push(item);
+    }
+    // Check for ANY nutrition field (KBJU or extra nutrient). Note: an item can be BOTH (technically), though usually separate.
+    if (getNutrientKeys(item, nutrientKeys).length > 0) {
+      kbjuItems.push(item);
+    }
+  });
+
+  const message = [];
+  const suffix = user ? ` for ${user}` : '';
+  // Write a bucket, keeping the touched days as they were before and after the write
+  const writeTracked = (items, sheet, handler) => {
+    const dates = getItemDates(items);
+    const before = readDays(sheet, user, dates);
+    handler(items, user);
+    const after = readDays(sheet, user, dates);
+    dates.forEach(date => changes.push({ user: user, sheet: sheet, date: date, before: before[date], after: after[date] }));
+  };
+
+  // Process Weight bucket
+  if (weightItems.length > 0) {
+    writeTracked(weightItems, 'weight_data', handleWeightUpdate);
+    message.push(`Weight processed (${weightItems.length} items)${suffix}`);
+  }
+
+  // Process KBJU bucket
+  if (kbjuItems.length > 0) {
+    writeTracked(kbjuItems, 'kbju_data', handleKBJUUpdate);
+    message.push(`KBJU processed (${kbjuItems.length} items)${suffix}`);
+  }
+
+  // Process Body measurements bucket
+  if (bodyItems.length > 0) {
+    writeTracked(bodyItems, 'body_data', handleBodyUpdate);
+    message.push(`Body measurements processed (${bodyItems.length} items)${suffix}`);
+  }
+
+  // Process Food diary bucket
+  if (foodItems.length > 0) {
+    writeTracked(foodItems, 'food_log', handleFoodLogUpdate);
+    message.push(`Food log processed (${foodItems.length} items)${suffix}`);
+  }
+
+  return message;
+}
+
+// === INCREMENTAL SYNC ===
+
+function getRevision() {
+  return parseInt(PropertiesService.getScriptProperties().getProperty('DATA_REVISION'), 10) || 0;
+}
+
+// Log changed days ({ user, sheet, date, before?, after? }) under a new revision; returns the current revision
+// Days with before/after rows also get their changed fields written to change_log
+function recordChanges(changes, source, batch) {
+  if (changes.length === 0) return getRevision();
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const props = PropertiesService.getScriptProperties();
+    const revision = getRevision() + 1;
+    const now = new Date();
+    // A day written twice in one request: first "before", last "after"
+    const days = {};
+    const order = [];
+    changes.forEach(change => {
+      const key = [change.user, change.sheet, change.date].join('|');
+      if (!days[key]) {
+        days[key] = Object.assign({}, change);
+        order.push(key);
+      } else if ('after' in change) {
+        days[key].after = change.after;
+      }
+    });
+    const rows = order.map(key => [revision, now, days[key].user, days[key].sheet, days[key].date]);
+
+    const sheet = getUserSheet('sync_log', '', SYNC_LOG_HEADERS);
+    const startRow = sheet.getLastRow() + 1;
+    // Keep user and date as plain text so Sheets doesn't convert them
+    sheet.getRange(startRow, 3, rows.length, 3).setNumberFormat('@');
+    sheet.getRange(startRow, 1, rows.length, SYNC_LOG_HEADERS.length).setValues(rows);
+
+    const extra = sheet.getLastRow() - 1 - SYNC_LOG_MAX_ROWS;
+    if (extra > 0) {
+      // Clients synced before the last dropped revision can no longer get a delta
+      props.setProperty('SYNC_LOG_TRIMMED_REVISION', String(sheet.getRange(1 + extra, 1).getValue()));
+      sheet.deleteRows(2, extra);
+    }
+
+    const changeRows = [];
+    order.forEach(key => {
+      const day = days[key];
+      if (!('before' in day)) return;
+      diffDay(day.sheet, day.before, day.after).forEach(diff => {
+        changeRows.push([revision, now, source || 'api', day.user, day.sheet, day.date, diff.field, diff.oldValue, diff.newValue, batch || '']);
+      });
+    });
+    if (changeRows.length > 0) writeChangeLog(changeRows);
+
+    props.setProperty('DATA_REVISION', String(revision));
+    return revision;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// Dates changed after a revision (or on/after a day) for one person: { weight: [...], kbju, food, body }
+// Returns null when the log doesn't reach back that far and the client needs a full reload
+function getChangedDates(user, fromRevision, since) {
+  const trimmedRevision = parseInt(PropertiesService.getScriptProperties().getProperty('SYNC_LOG_TRIMMED_REVISION'), 10) || 0;
+  if (fromRevision !== null && (fromRevision > getRevision() || fromRevision < trimmedRevision)) return null;
+
+  const log = getSheetData(getUserSheet('sync_log', ''));
+  // Changes made before the oldest entry (or before the log existed) are unknown
+  if (fromRevision === null && (log.length === 0 || normalizeDate(log[0].timestamp) > since)) return null;
+
+  const changed = { weight: {}, kbju: {}, food: {}, body: {} };
+  log.forEach(entry => {
+    if (String(entry.user || '') !== user) return;
+    if (fromRevision !== null ? entry.revision <= fromRevision : normalizeDate(entry.timestamp) < since) return;
+    const source = SYNC_SOURCES[entry.sheet];
+    if (source && entry.date) changed[source][entry.date] = true;
+  });
+  // Daily totals in kbju come from the food diary too
+  Object.keys(changed.food).forEach(date => { changed.kbju[date] = true; });
+
+  const result = {};
+  Object.keys(changed).forEach(source => { result[source] = Object.keys(changed[source]).sort(); });
+  return result;
+}
+
+// doGet response with rows of the changed dates only; dates left without rows are listed in "deleted"
+function buildDeltaResponse(user, revision, changed) {
+  const pick = (rows, dates) => rows.filter(row => dates.indexOf(row.date) !== -1);
+  const read = (name, dates) => dates.length > 0 ? getSheetData(getUserSheet(name, user)) : [];
+
+  const foodLog = changed.food.length > 0 || changed.kbju.length > 0 ? getFoodLogData(getUserSheet('food_log', user)) : [];
+  const response = {
+    success: true,
+    user: user,
+    revision: revision,
+    delta: true,
+    weight: pick(read('weight_data', changed.weight), changed.weight),
+    kbju: pick(mergeFoodLogTotals(read('kbju_data', changed.kbju), foodLog), changed.kbju),
+    food: pick(foodLog, changed.food),
+    body: pick(read('body_data', changed.body), changed.body),
+    deleted: {}
+  };
+  Object.keys(changed).forEach(source => {
+    response.deleted[source] = changed[source].filter(date => !response[source].some(row => row.date === date));
+  });
+  return response;
+}
+
+// Simple trigger: hand edits of data tabs are logged too, so clients pick them up on their next sync
+// (whole-row deletions don't reach onEdit; clients fall back to a full reload once a day)
+function onEdit(e) {
+  try {
+    const sheet = e.range.getSheet();
+    const match = sheet.getName().match(/^(?:(.+)_)?(weight_data|kbju_data|food_log|body_data)$/);
+    if (!match) return;
+
+    const dates = sheet.getRange(e.range.getRow(), 1, e.range.getNumRows(), 1).getValues().map(row => normalizeDate(row[0]));
+    // A changed date cell: the old date loses its row
+    if (e.range.getColumn() === 1 && e.oldValue) dates.push(normalizeDate(e.oldValue));
+
+    recordChanges(dates.filter(Boolean).map(date => ({ user: match[1] || '', sheet: match[2], date: date })), 'sheet');
+  } catch (error) {
+    logToSheet("🔥 Error in onEdit: " + error.toString());
+  }
+}
+
+// Dates written by items (missing dates default to today, as in the handlers)
+function getItemDates(items) {
+  return items.map(item => normalizeDate(getVal(item, 'date')) || normalizeDate(new Date())).filter(Boolean);
+}
+
+// === EDIT OPERATIONS ===
+
+// Resolve one delete / patch / replace item and check it against the sheet without writing
+// Returns { op, source, sheetName, date, fields, before } or { op, sheet, date, error }
+function checkRowOperation(item, user) {
+  const op = String(getVal(item, 'op')).toLowerCase().trim();
+  const date = normalizeDate(getVal(item, 'date'));
+  const fields = Object.assign({}, item);
+  Object.keys(fields).forEach(key => {
+    if (['op', 'sheet', 'token', 'user', 'date'].indexOf(key.toLowerCase()) !== -1) delete fields[key];
+  });
+
+  // Without "sheet", patch and replace target the tab their fields belong to
+  let source = String(getVal(item, 'sheet') || '').toLowerCase().replace(/_data$/, '');
+  if (!source && op !== 'delete') source = getVal(item, 'weight') !== undefined ? 'weight' : 'kbju';
+  const sheetName = OPERATION_SHEETS[source];
+
+  if (ROW_OPERATIONS.indexOf(op) === -1) return { op: op, date: date, error: `Unknown op "${op}"` };
+  if (!date) return { op: op, date: null, error: 'Invalid or missing date' };
+  if (!sheetName) return { op: op, date: date, error: 'sheet must be "weight", "kbju" or "body"' };
+
+  const sheet = getUserSheet(sheetName, user);
+  const before = findRowByDate(sheet, date);
+  if (op !== 'replace' && !before) return { op: op, sheet: source, date: date, before: null, after: null, error: `No ${source} row for ${date}` };
+
+  const hasValues = source === 'weight' ? parseNum(getVal(fields, 'weight')) !== undefined
+    : source === 'body' ? BODY_KEYS.some(key => parseNum(getVal(fields, key)) !== undefined)
+    : getNutrientKeys(fields, getAllowedNutrientKeys(user)).length > 0;
+  if (op !== 'delete' && !hasValues) return { op: op, sheet: source, date: date, before: before, after: before, error: `No ${source} values to write` };
+
+  return { op: op, source: source, sheetName: sheetName, date: date, fields: fields, before: before };
+}
+
+// Apply one delete / patch / replace item; returns { op, sheet, date, before, after } or { op, date, error }
+function handleRowOperation(item, user, changes) {
+  const check = checkRowOperation(item, user);
+  if (check.error) return check;
+  const { op, source, sheetName, date, fields, before } = check;
+
+  if (op === 'delete' || op === 'replace') deleteRowsByDate(getUserSheet(sheetName, user), date);
+  if (op !== 'delete') {
+    fields.date = date;
+    if (source === 'weight') handleWeightUpdate([fields], user);
+    else if (source === 'body') handleBodyUpdate([fields], user);
+    else handleKBJUUpdate([fields], user);
+  }
+
+  const after = op === 'delete' ? null : findRowByDate(getUserSheet(sheetName, user), date);
+  changes.push({ user: user, sheet: sheetName, date: date, before: before, after: after });
+  logToSheet(`✏️ ${op} ${source} ${date}${user ? ` for ${user}` : ''}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`);
+  return { op: op, sheet: source, date: date, before: before, after: after };
+}
+
+// Row of a tab for a date as an object keyed by lower-case headers (null if there is none)
+function findRowByDate(sheet, date) {
+  return getSheetData(sheet).find(row => row.date === date) || null;
+}
+
+// Delete every row of a tab with the given date
+function deleteRowsByDate(sheet, date) {
+  if (!sheet) return;
+  const values = sheet.getDataRange().getValues();
+  for (let i = values.length - 1; i >= 1; i--) {
+    if (normalizeDate(values[i][0]) === date) sheet.deleteRow(i + 1);
+  }
+}
+
+// === CHANGE LOG AND UNDO ===
+
+// Rows of a tab for the given dates: { date: row | null }; food_log days are lists of entries
+function readDays(sheetName, user, dates) {
+  const sheet = getUserSheet(sheetName, user);
+  const rows = sheetName === 'food_log' ? getFoodLogData(sheet) : getSheetData(sheet);
+  const result = {};
+  dates.forEach(date => {
+    const dayRows = rows.filter(row => row.date === date);
+    result[date] = sheetName === 'food_log' ? dayRows : dayRows[0] || null;
+  });
+  return result;
+}
+
+// Changed fields of a day: [{ field, oldValue, newValue }] with '' for a missing value
+// A food_log day is one "entries" field holding its entries as JSON
+function diffDay(sheetName, before, after) {
+  if (sheetName === 'food_log') {
+    const oldValue = formatFoodEntries(before);
+    const newValue = formatFoodEntries(after);
+    return oldValue === newValue ? [] : [{ field: 'entries', oldValue: oldValue, newValue: newValue }];
+  }
+
+  const fields = {};
+  Object.keys(before || {}).concat(Object.keys(after || {})).forEach(key => {
+    if (key !== 'date') fields[key] = true;
+  });
+  const valueOf = (row, key) => row && row[key] !== null && row[key] !== undefined ? row[key] : '';
+  return Object.keys(fields)
+    .filter(key => !valuesEqual(valueOf(before, key), valueOf(after, key)))
+    .map(key => ({ field: key, oldValue: valueOf(before, key), newValue: valueOf(after, key) }));
+}
+
+function formatFoodEntries(entries) {
+  return entries && entries.length > 0 ? JSON.stringify(entries) : '';
+}
+
+// Compare cell values as numbers when both parse, as text otherwise
+function valuesEqual(a, b) {
+  const x = parseNum(a);
+  const y = parseNum(b);
+  if (x !== undefined && y !== undefined) return x === y;
+  return String(a === null || a === undefined ? '' : a) === String(b === null || b === undefined ? '' : b);
+}
+
+function writeChangeLog(rows) {
+  const sheet = getUserSheet('change_log', '', CHANGE_LOG_HEADERS);
+  // A log started before the Batch column gets the full header
+  if (sheet.getLastColumn() < CHANGE_LOG_HEADERS.length) sheet.getRange(1, 1, 1, CHANGE_LOG_HEADERS.length).setValues([CHANGE_LOG_HEADERS]);
+  const startRow = sheet.getLastRow() + 1;
+  // Keep source, user, sheet and date as plain text so Sheets doesn't convert them
+  sheet.getRange(startRow, 3, rows.length, 4).setNumberFormat('@');
+  sheet.getRange(startRow, 1, rows.length, CHANGE_LOG_HEADERS.length).setValues(rows);
+
+  const extra = sheet.getLastRow() - 1 - CHANGE_LOG_MAX_ROWS;
+  if (extra > 0) sheet.deleteRows(2, extra);
+}
+
+// Whether a change_log entry belongs to a write that was undone: its revision was the target of an undo,
+// or its batch was undone as a whole (undo entries carry the batch they reverted)
+function isUndoneEntry(entries, entry) {
+  return entries.some(undo => {
+    const match = String(undo.source || '').match(/^undo:(\d+)$/);
+    return match && (Number(match[1]) === entry.revision || (entry.batch && undo.batch === entry.batch));
+  });
+}
+
+// Latest write of a person that is not an undo and was not undone yet (null if none)
+function getLastUndoableRevision(log, user) {
+  const entries = log.filter(entry => String(entry.user || '') === user);
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (!/^undo:/.test(String(entries[i].source || '')) && !isUndoneEntry(entries, entries[i])) return entries[i].revision;
+  }
+  return null;
+}
+
+// Revisions undone together with a revision: every revision of its batch that isn't undone yet, oldest first
+function getUndoGroup(log, user, revision) {
+  const entries = log.filter(entry => String(entry.user || '') === user);
+  const target = entries.find(entry => entry.revision === revision);
+  if (!target || !target.batch) return [revision];
+
+  const revisions = [];
+  entries
+    .filter(entry => entry.batch === target.batch && !/^undo:/.test(String(entry.source || '')) && !isUndoneEntry(entries, entry))
+    .forEach(entry => { if (revisions.indexOf(entry.revision) === -1) revisions.push(entry.revision); });
+  return revisions.sort((a, b) => a - b);
+}
+
+// Latest change_log entries of a person, newest first, plus the revision "undo" would restore
+function listChanges(user, limit) {
+  const log = getSheetData(getUserSheet('change_log', ''));
+  const changes = log
+    .filter(entry => String(entry.user || '') === user)
+    .slice(-Math.min(Math.max(limit, 1), CHANGE_LIST_MAX))
+    .reverse()
+    .map(entry => ({
+      revision: entry.revision,
+      timestamp: entry.timestamp,
+      source: entry.source,
+      sheet: entry.sheet,
+      date: entry.date,
+      field: entry.field,
+      oldValue: entry.old,
+      newValue: entry.new,
+      batch: entry.batch || ''
+    }));
+  const undoRevision = getLastUndoableRevision(log, user);
+  return {
+    success: true,
+    user: user,
+    revision: getRevision(),
+    undoRevision: undoRevision,
+    undoRevisions: undoRevision === null ? [] : getUndoGroup(log, user, undoRevision),
+    changes: changes
+  };
+}
+
+// Restore the values a revision replaced (by default the person's last write that isn't undone)
+// A revision written as part of a batch is undone with the rest of the batch
+// Refuses when a restored field has been changed again since that revision
+function handleUndo(user, revision) {
+  const log = getSheetData(getUserSheet('change_log', ''));
+  const target = parseNum(revision) !== undefined ? parseNum(revision) : getLastUndoableRevision(log, user);
+  if (target === null) return { success: false, error: 'Nothing to undo' };
+  const userEntries = log.filter(entry => String(entry.user || '') === user);
+  const targetEntry = userEntries.find(entry => entry.revision === target);
+  if (targetEntry && isUndoneEntry(userEntries, targetEntry)) return { success: false, error: `Revision ${target} is already undone` };
+
+  // A field changed by several revisions of the group goes back to the oldest value and is checked against the newest
+  const group = getUndoGroup(log, user, target);
+  const days = {};
+  userEntries.filter(entry => group.indexOf(entry.revision) !== -1).forEach(entry => {
+    const key = entry.sheet + '|' + entry.date;
+    const day = days[key] = days[key] || { sheet: entry.sheet, date: entry.date, fields: [] };
+    const field = day.fields.find(f => f.field === entry.field);
+    if (field) field.new = entry.new;
+    else day.fields.push({ field: entry.field, old: entry.old, new: entry.new });
+  });
+  const dayList = Object.keys(days).map(key => days[key]);
+  if (dayList.length === 0) return { success: false, error: `No changes for revision ${target}` };
+
+  const conflicts = [];
+  dayList.forEach(day => {
+    const current = readDays(day.sheet, user, [day.date])[day.date];
+    day.fields.forEach(entry => {
+      const value = day.sheet === 'food_log' ? formatFoodEntries(current) : current && current[entry.field];
+      if (!valuesEqual(value, entry.new)) conflicts.push(`${day.sheet} ${day.date} ${entry.field}`);
+    });
+  });
+  if (conflicts.length > 0) return { success: false, error: `Changed after revision ${target}: ${conflicts.join(', ')}` };
+
+  const changes = [];
+  dayList.forEach(day => restoreDay(day, user, changes));
+  const newRevision = recordChanges(changes, `undo:${target}`, targetEntry ? targetEntry.batch : '');
+  const label = group.length > 1 ? `Revisions ${group.join(', ')}` : `Revision ${target}`;
+  logToSheet(`↩️ Undo of ${label.toLowerCase()}${user ? ` for ${user}` : ''}: ${dayList.length} days restored`);
+  return { success: true, message: `${label} undone (${dayList.length} days)`, revision: newRevision, undone: target, undoneRevisions: group };
+}
+
+// Put the old values of one day back; the write is added to changes like any other
+function restoreDay(day, user, changes) {
+  if (day.sheet === 'food_log') {
+    const before = readDays('food_log', user, [day.date]);
+    const entries = day.fields[0].old ? JSON.parse(day.fields[0].old) : [];
+    deleteRowsByDate(getUserSheet('food_log', user), day.date);
+    if (entries.length > 0) handleFoodLogUpdate(entries, user);
+    const after = readDays('food_log', user, [day.date]);
+    changes.push({ user: user, sheet: 'food_log', date: day.date, before: before[day.date], after: after[day.date] });
+    return;
+  }
+
+  const source = Object.keys(OPERATION_SHEETS).find(key => OPERATION_SHEETS[key] === day.sheet);
+  const restored = Object.assign({}, findRowByDate(getUserSheet(day.sheet, user), day.date));
+  day.fields.forEach(entry => {
+    if (entry.old === null || entry.old === '') delete restored[entry.field];
+    else restored[entry.field] = entry.old;
+  });
+  const hasValues = Object.keys(restored).some(key => key !== 'date' && parseNum(restored[key]) !== undefined);
+  const item = Object.assign(restored, { op: hasValues ? 'replace' : 'delete', sheet: source, date: day.date });
+  handleRowOperation(item, user, changes);
+}
+
+// Tab prefix of a person: lower case letters, digits, "_" and "-" only ('' = plain tabs)
+function normalizeUser(value) {
+  if (value === undefined || value === null) return '';
+  return value.toString().trim().toLowerCase().replace(/[^\p{L}\p{N}_-]/gu, '');
+}
+
+// Tab of a person (e.g. anna_weight_data); created with headers when missing if headers are given
+function getUserSheet(name, user, headers) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const fullName = user ? `${user}_${name}` : name;
+  let sheet = ss.getSheetByName(fullName);
+  if (!sheet && headers) {
+    sheet = ss.insertSheet(fullName);
+    sheet.appendRow(headers);
+    logToSheet(`📄 Created sheet ${fullName}`);
+  }
+  return sheet;
+}
+
+function handleWeightUpdate(dataArray, user) {
+  const sheet = getUserSheet('weight_data', user, WEIGHT_HEADERS);
   const dataRange = sheet.getDataRange();
   const values = dataRange.getValues(); 
   
@@ -113,9 +713,9 @@ function handleWeightUpdate(dataArray) {
   }
   
   dataArray.forEach(item => {
-    const date = normalizeDate(item.date) || normalizeDate(new Date());
-    const weight = parseFloat(item.weight);
-    if (date && !isNaN(weight)) {
+    const date = normalizeDate(getVal(item, 'date')) || normalizeDate(new Date());
+    const weight = parseNum(getVal(item, 'weight'));
+    if (date && weight !== undefined) {
       validMap.set(date, weight);
     }
   });
@@ -137,14 +737,16 @@ function handleWeightUpdate(dataArray) {
   return createJsonResponse({ success: true, message: `Weight processed.` });
 }
 
-function handleKBJUUpdate(dataArray) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('kbju_data');
-  if (!sheet) return createJsonResponse({ success: false, error: 'Sheet kbju_data not found' });
+function handleKBJUUpdate(dataArray, user) {
+  const sheet = getUserSheet('kbju_data', user, KBJU_HEADERS);
+  const nutrientKeys = getAllowedNutrientKeys(user);
 
   logToSheet("🥗 Processing Nutrition data...");
 
   const values = sheet.getDataRange().getValues();
   const headers = values[0].map(h => h.toString().toLowerCase().trim());
+  // KBJU first, then extra nutrient columns already in the sheet, then new ones from the payload
+  const columns = KBJU_COLUMNS.concat(headers.slice(1).filter(h => h && KBJU_COLUMNS.indexOf(h) === -1));
   const validMap = new Map();
   const fallbackList = [];
   
@@ -164,37 +766,171 @@ function handleKBJUUpdate(dataArray) {
   dataArray.forEach(item => {
     const date = normalizeDate(getVal(item, 'date')) || normalizeDate(new Date());
     if (date) {
-      if (!validMap.has(date)) validMap.set(date, { calories:'', proteins:'', fats:'', carbs:'' });
+      if (!validMap.has(date)) validMap.set(date, {});
       const current = validMap.get(date);
+      const keys = getNutrientKeys(item, nutrientKeys);
+
+      keys.forEach(key => {
+        if (columns.indexOf(key) === -1) {
+          columns.push(key);
+          logToSheet(`   ➕ New nutrient column: ${key}`);
+        }
+        current[key] = parseNum(getVal(item, key));
+      });
       
-      const cal = parseNum(getVal(item, 'calories'));
-      const pro = parseNum(getVal(item, 'proteins'));
-      const fat = parseNum(getVal(item, 'fats'));
-      const carb = parseNum(getVal(item, 'carbs'));
-
-      if (cal !== undefined) current.calories = cal;
-      if (pro !== undefined) current.proteins = pro;
-      if (fat !== undefined) current.fats = fat;
-      if (carb !== undefined) current.carbs = carb;
-      
-      if(cal || pro) logToSheet(`   📝 Update for ${date}: Cal=${cal}, Pro=${pro}`);
+      if (keys.length > 0) logToSheet(`   📝 Update for ${date}: ${keys.map(key => `${key}=${current[key]}`).join(', ')}`);
       else logToSheet(`   ⚠️ Received data for ${date} but values are empty. Raw keys: ${Object.keys(item).join(',')}`);
     }
   });
 
+  const width = columns.length + 1;
+  const padRow = row => row.slice(0, width).concat(new Array(Math.max(0, width - row.length)).fill(''));
   const sortedRows = Array.from(validMap.entries())
     .sort((a, b) => new Date(a[0]) - new Date(b[0]))
-    .map(([d, v]) => [d, v.calories, v.proteins, v.fats, v.carbs]);
+    .map(([d, v]) => [d].concat(columns.map(key => v[key] === undefined ? '' : v[key])));
 
   sheet.clearContents();
-  const output = [['Date', 'Calories', 'Proteins', 'Fats', 'Carbs'], ...fallbackList, ...sortedRows];
+  const headerRow = ['Date'].concat(columns.map(key => key.charAt(0).toUpperCase() + key.slice(1)));
+  const output = [headerRow, ...fallbackList.map(padRow), ...sortedRows];
   if (output.length > 0) {
-    sheet.getRange(1, 1, output.length, 5).setValues(output);
+    sheet.getRange(1, 1, output.length, width).setValues(output);
   }
   logToSheet("✅ Nutrition (KBJU) updated.");
   return createJsonResponse({ success: true, message: `KBJU processed.` });
 }
 
+// Upsert body measurements by date; fields missing in the payload keep their stored values
+function handleBodyUpdate(dataArray, user) {
+  const sheet = getUserSheet('body_data', user, BODY_HEADERS);
+
+  logToSheet("📏 Processing Body measurements...");
+
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0].map(h => h.toString().toLowerCase().trim());
+  const validMap = new Map();
+  const fallbackList = [];
+
+  for (let i = 1; i < values.length; i++) {
+    const normDate = normalizeDate(values[i][0]);
+    if (normDate) {
+      let obj = {};
+      for (let j = 1; j < headers.length; j++) obj[headers[j]] = values[i][j];
+      validMap.set(normDate, obj);
+    } else if (values[i].some(v => v !== '')) {
+      fallbackList.push(BODY_HEADERS.map((h, j) => values[i][j] === undefined ? '' : values[i][j]));
+    }
+  }
+
+  dataArray.forEach(item => {
+    const date = normalizeDate(getVal(item, 'date')) || normalizeDate(new Date());
+    if (!date) return;
+    if (!validMap.has(date)) validMap.set(date, {});
+    const current = validMap.get(date);
+
+    BODY_KEYS.forEach(key => {
+      let num = parseNum(getVal(item, key));
+      // Apple Health reports body fat as a fraction (0.185)
+      if (key === 'bodyfat' && num > 0 && num < 1) num = parseFloat((num * 100).toFixed(2));
+      if (num !== undefined) current[key] = num;
+    });
+    logToSheet(`   📝 Body for ${date}: ${BODY_KEYS.filter(key => current[key] !== undefined && current[key] !== '').map(key => `${key}=${current[key]}`).join(', ')}`);
+  });
+
+  const sortedRows = Array.from(validMap.entries())
+    .sort((a, b) => new Date(a[0]) - new Date(b[0]))
+    .map(([d, v]) => [d].concat(BODY_KEYS.map(key => v[key] === undefined ? '' : v[key])));
+
+  sheet.clearContents();
+  const output = [BODY_HEADERS, ...fallbackList, ...sortedRows];
+  sheet.getRange(1, 1, output.length, BODY_HEADERS.length).setValues(output);
+  logToSheet("✅ Body measurements updated.");
+  return createJsonResponse({ success: true, message: `Body measurements processed.` });
+}
+
+function handleFoodLogUpdate(dataArray, user) {
+  const sheet = getUserSheet('food_log', user, FOOD_LOG_HEADERS);
+
+  const rows = [];
+  dataArray.forEach(item => {
+    const date = normalizeDate(getVal(item, 'date')) || normalizeDate(new Date());
+    const food = getVal(item, 'food');
+    if (!date || !food) {
+      logToSheet(`   ⚠️ Food entry skipped (no date or food name). Raw keys: ${Object.keys(item).join(',')}`);
+      return;
+    }
+
+    const valueOrEmpty = (key) => {
+      const num = parseNum(getVal(item, key));
+      return num === undefined ? '' : num;
+    };
+
+    rows.push([
+      date,
+      normalizeTime(getVal(item, 'time')),
+      normalizeMeal(getVal(item, 'meal')),
+      food.toString().trim(),
+      valueOrEmpty('grams'),
+      valueOrEmpty('calories'),
+      valueOrEmpty('proteins'),
+      valueOrEmpty('fats'),
+      valueOrEmpty('carbs')
+    ]);
+  });
+
+  if (rows.length > 0) {
+    const startRow = sheet.getLastRow() + 1;
+    const range = sheet.getRange(startRow, 1, rows.length, FOOD_LOG_HEADERS.length);
+    // Keep date and time as plain text so Sheets doesn't convert them
+    sheet.getRange(startRow, 1, rows.length, 2).setNumberFormat('@');
+    range.setValues(rows);
+  }
+  logToSheet(`🍽️ Food log: ${rows.length} entries added.`);
+  return createJsonResponse({ success: true, message: `Food log processed.` });
+}
+
+// Read food_log entries; time cells converted by Sheets into Date objects are formatted back to HH:mm
+function getFoodLogData(sheet) {
+  if (!sheet) return [];
+  return getSheetData(sheet).map(function(entry) {
+    if (entry.time instanceof Date) entry.time = Utilities.formatDate(entry.time, 'Europe/Moscow', 'HH:mm');
+    if (entry.food != null) entry.food = entry.food.toString();
+    return entry;
+  });
+}
+
+// Roll up food_log entries into daily totals and merge them into kbju_data rows
+// Diary totals only fill days without KBJU values in kbju_data (such rows get "diary": true);
+// manual totals win, so a partly logged diary doesn't cut the day's intake
+function mergeFoodLogTotals(kbjuRows, foodLog) {
+  if (!foodLog || foodLog.length === 0) return kbjuRows;
+
+  const totals = {};
+  foodLog.forEach(function(entry) {
+    if (!entry.date) return;
+    if (!totals[entry.date]) totals[entry.date] = { date: entry.date, calories: 0, proteins: 0, fats: 0, carbs: 0 };
+    ['calories', 'proteins', 'fats', 'carbs'].forEach(function(key) {
+      if (typeof entry[key] === 'number') totals[entry.date][key] += entry[key];
+    });
+  });
+
+  const merged = {};
+  kbjuRows.forEach(function(row) { merged[row.date] = row; });
+  Object.keys(totals).forEach(function(date) {
+    const day = totals[date];
+    const row = merged[date];
+    if (row && KBJU_COLUMNS.some(function(key) { return row[key] !== null && row[key] !== undefined; })) return;
+
+    KBJU_COLUMNS.forEach(function(key) {
+      day[key] = parseFloat(day[key].toFixed(2));
+    });
+    day.diary = true;
+    // The diary only has KBJU; extra nutrients (fiber, water...) stay from kbju_data
+    merged[date] = Object.assign({}, row, day);
+  });
+
+  return Object.keys(merged).sort().map(function(date) { return merged[date]; });
+}
+
 // === ULTIMATE DATE PARSER ===
 function normalizeDate(input) {
   if (!input) return null;
@@ -240,6 +976,24 @@ function normalizeDate(input) {
   }
 }
 
+// Time of a food entry as HH:mm (current Moscow time if missing)
+function normalizeTime(input) {
+  if (input instanceof Date && !isNaN(input.getTime())) {
+    return Utilities.formatDate(input, 'Europe/Moscow', 'HH:mm');
+  }
+  if (typeof input === 'string') {
+    const match = input.trim().match(/(\d{1,2})[:.](\d{2})/);
+    if (match) return `${match[1].padStart(2, '0')}:${match[2]}`;
+  }
+  return Utilities.formatDate(new Date(), 'Europe/Moscow', 'HH:mm');
+}
+
+// Meal type: breakfast / lunch / dinner / snack (unknown values become snack)
+function normalizeMeal(input) {
+  if (!input) return 'snack';
+  return MEAL_ALIASES[input.toString().toLowerCase().trim()] || 'snack';
+}
+
 // === UTILS ===
 
 // Helper to get value case-insensitively (GLOBAL)
@@ -249,6 +1003,24 @@ function getVal(obj, key) {
   return foundKey ? obj[foundKey] : undefined;
 }
 
+// Lower-case keys of an item that hold numeric values of allowed nutrients (see getAllowedNutrientKeys)
+// Anything else a client sends along (steps, heartRate, id...) is ignored
+function getNutrientKeys(item, allowed) {
+  if (!item) return [];
+  return Object.keys(item)
+    .filter(k => allowed.indexOf(k.toLowerCase().trim()) !== -1 && parseNum(item[k]) !== undefined)
+    .map(k => k.toLowerCase().trim());
+}
+
+// Nutrients a person's kbju_data accepts: NUTRIENT_KEYS, its existing columns and EXTRA_NUTRIENTS
+function getAllowedNutrientKeys(user) {
+  const sheet = getUserSheet('kbju_data', user);
+  const header = sheet && sheet.getLastColumn() > 0 ? sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].slice(1) : [];
+  const extra = (PropertiesService.getScriptProperties().getProperty('EXTRA_NUTRIENTS') || '').split(',');
+  const keys = NUTRIENT_KEYS.concat(header, extra).map(k => k.toString().toLowerCase().trim());
+  return keys.filter((k, i) => /^[a-z0-9_]+$/.test(k) && keys.indexOf(k) === i);
+}
+
 // Helper to parse numbers with commas or dots and cleanup (GLOBAL)
 function parseNum(val) {
   if (val === undefined || val === null || val === '') return undefined;
@@ -263,6 +1035,7 @@ function createJsonResponse(data) {
 }
 
 function getSheetData(sheet) {
+  if (!sheet) return [];
   const data = sheet.getDataRange().getValues();
   if (data.length <= 1) return [];
   const headers = data[0].map(function(h) { return h.toString().toLowerCase().trim(); });
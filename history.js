@@ -0,0 +1,156 @@
+// Change history: recent field-level edits from change_log and undo of the last sync
+
+const HISTORY_LIMIT = 100;
+
+const HISTORY_SHEET_LABELS = {
+    weight_data: 'Вес',
+    kbju_data: 'КБЖУ',
+    food_log: 'Дневник',
+    body_data: 'Замеры'
+};
+
+const HISTORY_SOURCE_LABELS = {
+    dashboard: 'Дашборд',
+    import: 'Импорт',
+    api: 'API',
+    shortcut: 'Shortcut'
+};
+
+const historyModal = document.getElementById('historyModal');
+let historyUndoRevision = null;
+let historyUndoGroup = []; // Revisions undone together with historyUndoRevision (all parts of one batch, e.g. an import)
+
+function getHistoryFieldLabel(sheet, field) {
+    if (sheet === 'food_log') return 'Записи';
+    if (VALUE_LIMITS[field]) return VALUE_LIMITS[field].label;
+    if (BODY_MEASUREMENTS[field]) return BODY_MEASUREMENTS[field].label;
+    return field;
+}
+
+function getHistorySourceLabel(source) {
+    const undo = String(source || '').match(/^undo:(\d+)$/);
+    if (undo) return `Отмена #${undo[1]}`;
+    return HISTORY_SOURCE_LABELS[source] || source || '—';
+}
+
+// Food diary days are logged as a JSON list of entries; show how many there were
+function formatHistoryValue(sheet, value) {
+    if (value === '' || value === null || value === undefined) return '—';
+    if (sheet !== 'food_log') return escapeHtml(String(value));
+    try {
+        return `${JSON.parse(value).length} зап.`;
+    } catch (error) {
+        return escapeHtml(String(value));
+    }
+}
+
+async function loadHistory() {
+    const listEl = document.getElementById('historyTable');
+    const undoBtn = document.getElementById('undoLastSync');
+    const sheetUrl = getSheetUrl();
+
+    listEl.innerHTML = '<div class="coach-muted">Загрузка…</div>';
+    undoBtn.disabled = true;
+
+    try {
+        const data = await fetchChangeLog(sheetUrl, HISTORY_LIMIT);
+        historyUndoRevision = data.undoRevision;
+        historyUndoGroup = data.undoRevisions || (data.undoRevision !== null ? [data.undoRevision] : []);
+        renderHistory(data.changes);
+    } catch (error) {
+        historyUndoRevision = null;
+        historyUndoGroup = [];
+        listEl.innerHTML = `<div class="form-error">${escapeHtml(error.message)}</div>`;
+    }
+    updateUndoInfo();
+}
+
+function renderHistory(changes) {
+    const listEl = document.getElementById('historyTable');
+    if (changes.length === 0) {
+        listEl.innerHTML = '<div class="coach-muted">Изменений пока нет</div>';
+        return;
+    }
+
+    listEl.innerHTML = `
+        <table class="food-table history-table">
+            <thead><tr>
+                <th>#</th><th>Время</th><th>Источник</th><th>Данные</th><th>День</th><th>Поле</th><th>Было → стало</th>
+            </tr></thead>
+            <tbody>
+                ${changes.map(change => `
+                    <tr class="${historyUndoGroup.includes(change.revision) ? 'history-undoable' : ''}">
+                        <td class="coach-muted">${change.revision}</td>
+                        <td>${change.timestamp ? formatSyncTime(change.timestamp) : '—'}</td>
+                        <td>${escapeHtml(getHistorySourceLabel(change.source))}</td>
+                        <td>${HISTORY_SHEET_LABELS[change.sheet] || escapeHtml(String(change.sheet))}</td>
+                        <td>${change.date ? formatDisplayDate(change.date) : '—'}</td>
+                        <td>${escapeHtml(getHistoryFieldLabel(change.sheet, change.field))}</td>
+                        <td class="history-values">
+                            <span class="history-old">${formatHistoryValue(change.sheet, change.oldValue)}</span>
+                            → <span class="history-new">${formatHistoryValue(change.sheet, change.newValue)}</span>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function updateUndoInfo() {
+    const infoEl = document.getElementById('historyUndoInfo');
+    const undoBtn = document.getElementById('undoLastSync');
+
+    undoBtn.disabled = historyUndoRevision === null;
+    if (historyUndoRevision === null) {
+        infoEl.textContent = 'Нет синхронизаций, которые можно отменить';
+    } else if (historyUndoGroup.length > 1) {
+        infoEl.textContent = `Последняя синхронизация отправлялась частями (#${historyUndoGroup.join(', #')}, например импорт) и отменится целиком (выделена в списке)`;
+    } else {
+        infoEl.textContent = `Последняя синхронизация: #${historyUndoRevision} (выделена в списке)`;
+    }
+}
+
+// Roll back the last write of this profile, then pull the restored values into the dashboard
+async function handleUndoLastSync() {
+    if (historyUndoRevision === null) return;
+    const label = historyUndoGroup.length > 1 ? `синхронизацию из ${historyUndoGroup.length} частей (#${historyUndoGroup.join(', #')})` : `синхронизацию #${historyUndoRevision}`;
+    if (!confirm(`Отменить ${label}? Значения в таблице вернутся к прежним.`)) return;
+
+    const undoBtn = document.getElementById('undoLastSync');
+    undoBtn.disabled = true;
+    try {
+        const result = await undoLastSync(getSheetUrl());
+        const undone = result.undoneRevisions || [result.undone];
+        showToast(undone.length > 1 ? `↩️ Синхронизация отменена (${undone.length} частей)` : `↩️ Синхронизация #${result.undone} отменена`, 'success');
+        refreshInBackground();
+    } catch (error) {
+        showToast(`❌ Не удалось отменить: ${error.message}`, 'error', 6000);
+    }
+    loadHistory();
+}
+
+function openHistoryView() {
+    historyModal.classList.add('active');
+    loadHistory();
+}
+
+function closeHistoryView() {
+    historyModal.classList.remove('active');
+}
+
+// History handlers
+document.getElementById('openHistory').addEventListener('click', openHistoryView);
+document.getElementById('closeHistory').addEventListener('click', closeHistoryView);
+document.getElementById('refreshHistory').addEventListener('click', loadHistory);
+document.getElementById('undoLastSync').addEventListener('click', handleUndoLastSync);
+historyModal.addEventListener('click', (e) => {
+    if (e.target === historyModal) {
+        closeHistoryView();
+    }
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && historyModal.classList.contains('active')) {
+        closeHistoryView();
+    }
+});
@@ -0,0 +1,526 @@
+// Import wizard: parse history exports (CSV / JSON / Apple Health export.xml),
+// map columns, check against existing data and send rows to doPost in batches
+
+const IMPORT_BATCH_SIZE = 100;
+const IMPORT_PREVIEW_ROWS = 10;
+const IMPORT_XML_CHUNK_SIZE = 4 * 1024 * 1024; // Apple Health exports can be hundreds of MB
+
+const importFieldLabels = {
+    date: 'Дата',
+    weight: 'Вес, кг',
+    calories: 'Калории',
+    proteins: 'Белки, г',
+    fats: 'Жиры, г',
+    carbs: 'Углеводы, г'
+};
+
+// Header names used by MyFitnessPal, FatSecret, Cronometer and our own exports
+const importColumnAliases = {
+    date: ['date', 'дата', 'day', 'день'],
+    weight: ['weight', 'вес', 'body weight', 'weight (kg)', 'вес (кг)', 'body mass'],
+    calories: ['calories', 'калории', 'energy (kcal)', 'ккал', 'kcal', 'energy', 'калорийность'],
+    proteins: ['proteins', 'protein', 'protein (g)', 'белки', 'белок', 'белки (г)'],
+    fats: ['fats', 'fat', 'fat (g)', 'total fat', 'жиры', 'жиры (г)'],
+    carbs: ['carbs', 'carbohydrates', 'carbohydrates (g)', 'carbs (g)', 'углеводы', 'углеводы (г)']
+};
+
+// Apple Health record types mapped to dashboard fields
+const appleHealthTypes = {
+    HKQuantityTypeIdentifierBodyMass: 'weight',
+    HKQuantityTypeIdentifierDietaryEnergyConsumed: 'calories',
+    HKQuantityTypeIdentifierDietaryProtein: 'proteins',
+    HKQuantityTypeIdentifierDietaryFatTotal: 'fats',
+    HKQuantityTypeIdentifierDietaryCarbohydrates: 'carbs'
+};
+
+// Wizard state
+let importState = {
+    fileName: '',
+    columns: [],
+    rows: [],
+    mapping: {},
+    plan: null
+};
+
+const importModal = document.getElementById('importModal');
+
+// Same rules as normalizeDate in Code.gs: ISO (2026-1-2), RU/EU (1.2.2026, 1/2/2026), then Date fallback
+function normalizeImportDate(input) {
+    if (input === null || input === undefined || input === '') return null;
+
+    if (input instanceof Date) {
+        return isNaN(input.getTime()) ? null : formatDateToString(input);
+    }
+
+    const str = String(input).trim();
+
+    const isoMatch = str.match(/^(\d{4})[-.](\d{1,2})[-.](\d{1,2})/);
+    if (isoMatch) {
+        return `${isoMatch[1]}-${isoMatch[2].padStart(2, '0')}-${isoMatch[3].padStart(2, '0')}`;
+    }
+
+    const ruMatch = str.match(/^(\d{1,2})[-./](\d{1,2})[-./](\d{4})/);
+    if (ruMatch) {
+        return `${ruMatch[3]}-${ruMatch[2].padStart(2, '0')}-${ruMatch[1].padStart(2, '0')}`;
+    }
+
+    const d = new Date(str);
+    return isNaN(d.getTime()) ? null : formatDateToString(d);
+}
+
+// Parse numbers with commas or dots and stray spaces (same as parseNum in Code.gs)
+function parseImportNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const str = String(value).replace(/,/g, '.').replace(/[\s\u00A0\u200B]/g, '');
+    const num = parseFloat(str);
+    return isNaN(num) ? undefined : num;
+}
+
+// Pick the delimiter that splits the header line into the most columns
+function detectCsvDelimiter(headerLine) {
+    const candidates = [',', ';', '\t'];
+    return candidates
+        .map(delimiter => ({ delimiter, count: headerLine.split(delimiter).length }))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+// Minimal CSV parser with quoted fields support
+function parseCsv(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return { columns: [], rows: [] };
+
+    const delimiter = detectCsvDelimiter(lines[0]);
+
+    const splitLine = (line) => {
+        const cells = [];
+        let current = '';
+        let inQuotes = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (ch === '"') {
+                if (inQuotes && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (ch === delimiter && !inQuotes) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    };
+
+    const columns = splitLine(lines[0]);
+    const rows = lines.slice(1).map(line => {
+        const cells = splitLine(line);
+        const row = {};
+        columns.forEach((col, i) => { row[col] = cells[i] !== undefined ? cells[i] : ''; });
+        return row;
+    });
+
+    return { columns, rows };
+}
+
+// JSON: array of objects, or a dashboard payload { weight: [...], kbju: [...] }
+function parseImportJson(text) {
+    const parsed = JSON.parse(text);
+    let rows = [];
+
+    if (Array.isArray(parsed)) {
+        rows = parsed;
+    } else if (parsed && (parsed.weight || parsed.kbju)) {
+        rows = [...(parsed.weight || []), ...(parsed.kbju || [])];
+    } else if (parsed && Array.isArray(parsed.data)) {
+        rows = parsed.data;
+    } else {
+        throw new Error('Не удалось найти массив записей в JSON');
+    }
+
+    rows = rows.filter(row => row && typeof row === 'object');
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return { columns, rows };
+}
+
+// Apple Health export.xml: scan <Record> tags chunk by chunk
+// Weight keeps the last reading of a day, nutrition values are summed per day
+async function parseAppleHealthExport(file) {
+    const days = {};
+    const attr = (tag, name) => {
+        const match = tag.match(new RegExp(`${name}="([^"]*)"`));
+        return match ? match[1] : null;
+    };
+
+    // One streaming decoder for all chunks: a multibyte character (e.g. a Cyrillic sourceName)
+    // split at a chunk boundary is completed from the next chunk instead of becoming U+FFFD
+    const decoder = new TextDecoder('utf-8');
+    let carry = '';
+    for (let offset = 0; offset < file.size; offset += IMPORT_XML_CHUNK_SIZE) {
+        const bytes = await file.slice(offset, offset + IMPORT_XML_CHUNK_SIZE).arrayBuffer();
+        const chunk = carry + decoder.decode(bytes, { stream: offset + IMPORT_XML_CHUNK_SIZE < file.size });
+
+        // Keep an unfinished tag for the next chunk: the last "<" without a ">" after it
+        // (the chunk can end anywhere, e.g. in the middle of "<Reco")
+        const lastOpen = chunk.lastIndexOf('<');
+        const cut = lastOpen > chunk.lastIndexOf('>') ? lastOpen : chunk.length;
+        carry = chunk.slice(cut);
+
+        const tags = chunk.slice(0, cut).match(/<Record\b[^>]*>/g) || [];
+        tags.forEach(tag => {
+            const field = appleHealthTypes[attr(tag, 'type')];
+            if (!field) return;
+
+            const date = normalizeImportDate(attr(tag, 'startDate'));
+            let value = parseImportNumber(attr(tag, 'value'));
+            if (!date || value === undefined) return;
+
+            const unit = attr(tag, 'unit');
+            if (unit === 'lb') value = value * 0.45359237;
+            if (unit === 'kJ') value = value / 4.184;
+
+            if (!days[date]) days[date] = { date };
+            if (field === 'weight') {
+                days[date].weight = parseFloat(value.toFixed(2));
+            } else {
+                days[date][field] = (days[date][field] || 0) + value;
+            }
+        });
+    }
+
+    const rows = Object.values(days).map(day => {
+        ['calories', 'proteins', 'fats', 'carbs'].forEach(key => {
+            if (day[key] !== undefined) day[key] = Math.round(day[key] * 10) / 10;
+        });
+        return day;
+    });
+    return { columns: Object.keys(importFieldLabels), rows };
+}
+
+// Guess mapping from column headers
+function guessImportMapping(columns) {
+    const mapping = {};
+    Object.entries(importColumnAliases).forEach(([field, aliases]) => {
+        const found = columns.find(col => aliases.includes(col.toLowerCase().trim()));
+        mapping[field] = found || '';
+    });
+    return mapping;
+}
+
+// Turn parsed rows into one record per date using the column mapping
+// Several rows per day (e.g. MyFitnessPal meals) are summed; weight keeps the last value
+function buildImportRecords(rows, mapping, sumSameDay = true) {
+    const byDate = {};
+
+    rows.forEach(row => {
+        const date = normalizeImportDate(row[mapping.date]);
+        if (!date) return;
+
+        if (!byDate[date]) byDate[date] = { date };
+        const record = byDate[date];
+
+        Object.keys(importFieldLabels).forEach(field => {
+            if (field === 'date' || !mapping[field]) return;
+            const value = parseImportNumber(row[mapping[field]]);
+            if (value === undefined || value <= 0) return;
+
+            if (field !== 'weight' && sumSameDay && record[field] !== undefined) {
+                record[field] = Math.round((record[field] + value) * 10) / 10;
+            } else {
+                record[field] = value;
+            }
+        });
+    });
+
+    return Object.values(byDate)
+        .filter(record => Object.keys(record).length > 1)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Compare records with existing data, per date and field:
+// new (no value yet), duplicate (same value) or conflict (different value)
+function planImport(records) {
+    const tolerance = { weight: 0.05, calories: 1, proteins: 0.5, fats: 0.5, carbs: 0.5 };
+    const weightByDate = {};
+    const kbjuByDate = {};
+    weightData.forEach(d => { weightByDate[d.date] = d; });
+    kbjuData.forEach(d => { kbjuByDate[d.date] = d; });
+
+    const plan = { newDates: [], duplicateDates: [], conflicts: [], records };
+
+    records.forEach(record => {
+        const newFields = {};
+        const conflictFields = [];
+        let duplicateCount = 0;
+
+        Object.keys(record).filter(key => key !== 'date').forEach(field => {
+            const existingRow = field === 'weight' ? weightByDate[record.date] : kbjuByDate[record.date];
+            const existing = existingRow ? existingRow[field] : null;
+
+            if (existing === null || existing === undefined) {
+                newFields[field] = record[field];
+            } else if (Math.abs(existing - record[field]) <= tolerance[field]) {
+                duplicateCount++;
+            } else {
+                conflictFields.push({ field, existing, imported: record[field] });
+            }
+        });
+
+        if (conflictFields.length > 0) {
+            plan.conflicts.push({ date: record.date, fields: conflictFields, newFields });
+        } else if (Object.keys(newFields).length > 0) {
+            plan.newDates.push({ date: record.date, ...newFields });
+        } else if (duplicateCount > 0) {
+            plan.duplicateDates.push(record.date);
+        }
+    });
+
+    return plan;
+}
+
+// Items to send: new fields always, conflicting fields only when overwriting
+function getImportItems(plan, overwriteConflicts) {
+    const items = [...plan.newDates];
+    plan.conflicts.forEach(conflict => {
+        const item = { date: conflict.date, ...conflict.newFields };
+        if (overwriteConflicts) {
+            conflict.fields.forEach(f => { item[f.field] = f.imported; });
+        }
+        if (Object.keys(item).length > 1) items.push(item);
+    });
+    return items.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Send items to doPost in batches, reporting progress
+async function sendImportBatches(items, onProgress) {
+    const sheetUrl = getSheetUrl();
+    // One id for all parts: "undo last sync" reverts the whole import, not just its last part
+    const importId = `import-${Date.now().toString(36)}`;
+    for (let i = 0; i < items.length; i += IMPORT_BATCH_SIZE) {
+        const batch = items.slice(i, i + IMPORT_BATCH_SIZE);
+        await postDataToSheets(sheetUrl, batch, 'import', importId);
+        onProgress(Math.min(i + IMPORT_BATCH_SIZE, items.length), items.length);
+    }
+}
+
+// === Wizard UI ===
+
+// Show one wizard step: 'file' | 'mapping' | 'report'
+function showImportStep(step) {
+    ['file', 'mapping', 'report'].forEach(name => {
+        document.getElementById(`importStep-${name}`).style.display = name === step ? 'block' : 'none';
+    });
+    document.getElementById('importBack').style.display = step === 'file' ? 'none' : 'inline-block';
+    document.getElementById('importNext').style.display = step === 'mapping' ? 'inline-block' : 'none';
+    document.getElementById('importRun').style.display = step === 'report' ? 'inline-block' : 'none';
+    document.getElementById('importRun').disabled = false;
+    document.getElementById('importError').textContent = '';
+}
+
+function openImportWizard() {
+    importState = { fileName: '', columns: [], rows: [], mapping: {}, plan: null };
+    document.getElementById('importFileInput').value = '';
+    document.getElementById('importProgress').textContent = '';
+    showImportStep('file');
+    importModal.classList.add('active');
+}
+
+function closeImportWizard() {
+    importModal.classList.remove('active');
+}
+
+// Read and parse dropped/selected file
+async function handleImportFile(file) {
+    const errorEl = document.getElementById('importError');
+    const dropText = document.getElementById('importDropText');
+    errorEl.textContent = '';
+    dropText.textContent = `⏳ Чтение ${file.name}…`;
+
+    try {
+        const name = file.name.toLowerCase();
+        let parsed;
+        if (name.endsWith('.xml')) {
+            parsed = await parseAppleHealthExport(file);
+        } else if (name.endsWith('.json')) {
+            parsed = parseImportJson(await file.text());
+        } else {
+            parsed = parseCsv(await file.text());
+        }
+
+        if (parsed.rows.length === 0) throw new Error('В файле не найдено ни одной записи');
+
+        importState.fileName = file.name;
+        importState.columns = parsed.columns;
+        importState.rows = parsed.rows;
+        importState.mapping = guessImportMapping(parsed.columns);
+
+        renderImportMapping();
+        showImportStep('mapping');
+    } catch (error) {
+        console.error('Import parse error:', error);
+        errorEl.textContent = `Не удалось прочитать файл: ${error.message}`;
+    } finally {
+        dropText.textContent = 'Перетащите файл сюда или нажмите, чтобы выбрать';
+    }
+}
+
+// Column mapping selects
+function renderImportMapping() {
+    const container = document.getElementById('importMapping');
+    const options = ['<option value="">— не импортировать —</option>',
+        ...importState.columns.map(col => `<option value="${escapeHtml(col)}">${escapeHtml(col)}</option>`)].join('');
+
+    container.innerHTML = Object.entries(importFieldLabels).map(([field, label]) => `
+        <div class="settings-field">
+            <span>${label}</span>
+            <select class="settings-input medium" data-field="${field}">${options}</select>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('select').forEach(select => {
+        select.value = importState.mapping[select.dataset.field] || '';
+        select.onchange = () => {
+            importState.mapping[select.dataset.field] = select.value;
+            renderImportPreview();
+        };
+    });
+
+    document.getElementById('importFileInfo').textContent =
+        `${importState.fileName}: ${importState.rows.length} строк, ${importState.columns.length} колонок`;
+    renderImportPreview();
+}
+
+// Preview of the first mapped records
+function renderImportPreview() {
+    const sumSameDay = document.getElementById('importSumSameDay').checked;
+    const records = buildImportRecords(importState.rows, importState.mapping, sumSameDay);
+    const fields = Object.keys(importFieldLabels);
+    const preview = records.slice(0, IMPORT_PREVIEW_ROWS);
+
+    document.getElementById('importPreview').innerHTML = `
+        <table class="food-table import-table">
+            <thead><tr>${fields.map(f => `<th>${importFieldLabels[f]}</th>`).join('')}</tr></thead>
+            <tbody>
+                ${preview.map(r => `<tr>${fields.map(f => `<td>${r[f] !== undefined ? r[f] : '—'}</td>`).join('')}</tr>`).join('')}
+            </tbody>
+        </table>
+        <div class="settings-hint">Дней к импорту: ${records.length}${records.length > IMPORT_PREVIEW_ROWS ? ` (показаны первые ${IMPORT_PREVIEW_ROWS})` : ''}</div>
+    `;
+}
+
+// Build plan and show duplicates/conflicts before writing
+function renderImportReport() {
+    const errorEl = document.getElementById('importError');
+    if (!importState.mapping.date) {
+        errorEl.textContent = 'Выберите колонку с датой';
+        return false;
+    }
+
+    const sumSameDay = document.getElementById('importSumSameDay').checked;
+    const records = buildImportRecords(importState.rows, importState.mapping, sumSameDay);
+    if (records.length === 0) {
+        errorEl.textContent = 'Нет строк с корректной датой и значениями';
+        return false;
+    }
+
+    const plan = planImport(records);
+    importState.plan = plan;
+
+    const conflictRows = plan.conflicts.map(c => c.fields.map(f => `
+        <tr>
+            <td class="food-time">${formatDisplayDate(c.date)}</td>
+            <td class="food-name">${importFieldLabels[f.field]}</td>
+            <td>${f.existing}</td>
+            <td>${f.imported}</td>
+        </tr>
+    `).join('')).join('');
+
+    document.getElementById('importReport').innerHTML = `
+        <div class="import-summary">
+            <div>🆕 Новых дней: <b>${plan.newDates.length}</b></div>
+            <div>♻️ Дубликатов (уже в таблице): <b>${plan.duplicateDates.length}</b></div>
+            <div>⚠️ Конфликтов: <b>${plan.conflicts.length}</b></div>
+        </div>
+        ${plan.conflicts.length > 0 ? `
+            <table class="food-table import-table">
+                <thead><tr><th>Дата</th><th>Поле</th><th>В таблице</th><th>В файле</th></tr></thead>
+                <tbody>${conflictRows}</tbody>
+            </table>
+        ` : ''}
+    `;
+    document.getElementById('importOverwriteGroup').style.display = plan.conflicts.length > 0 ? 'block' : 'none';
+    return true;
+}
+
+// Write planned rows to the sheet
+async function handleImportRun() {
+    const plan = importState.plan;
+    if (!plan) return;
+
+    const overwrite = document.getElementById('importOverwrite').checked;
+    const items = getImportItems(plan, overwrite);
+    const progressEl = document.getElementById('importProgress');
+    const runBtn = document.getElementById('importRun');
+
+    if (items.length === 0) {
+        progressEl.textContent = 'Нечего импортировать: все данные уже есть в таблице';
+        return;
+    }
+
+    runBtn.disabled = true;
+    try {
+        await sendImportBatches(items, (done, total) => {
+            progressEl.textContent = `Отправлено ${done} из ${total} дней…`;
+        });
+        closeImportWizard();
+        showToast(`✅ Импортировано дней: ${items.length}`, 'success');
+        refreshInBackground();
+    } catch (error) {
+        console.error('Import error:', error);
+        runBtn.disabled = false;
+        document.getElementById('importError').textContent = `Ошибка импорта: ${error.message}. Уже отправленные партии сохранены.`;
+    }
+}
+
+// Wizard handlers
+document.getElementById('openImport').addEventListener('click', openImportWizard);
+document.getElementById('closeImport').addEventListener('click', closeImportWizard);
+document.getElementById('importBack').addEventListener('click', () => {
+    const onReport = document.getElementById('importStep-report').style.display === 'block';
+    showImportStep(onReport ? 'mapping' : 'file');
+});
+document.getElementById('importNext').addEventListener('click', () => {
+    if (renderImportReport()) showImportStep('report');
+});
+document.getElementById('importRun').addEventListener('click', handleImportRun);
+document.getElementById('importSumSameDay').addEventListener('change', renderImportPreview);
+
+const importDropZone = document.getElementById('importDropZone');
+const importFileInput = document.getElementById('importFileInput');
+importDropZone.addEventListener('click', () => importFileInput.click());
+importFileInput.addEventListener('change', () => {
+    if (importFileInput.files.length > 0) handleImportFile(importFileInput.files[0]);
+});
+importDropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    importDropZone.classList.add('dragover');
+});
+importDropZone.addEventListener('dragleave', () => importDropZone.classList.remove('dragover'));
+importDropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    importDropZone.classList.remove('dragover');
+    if (e.dataTransfer.files.length > 0) handleImportFile(e.dataTransfer.files[0]);
+});
+importModal.addEventListener('click', (e) => {
+    if (e.target === importModal) {
+        closeImportWizard();
+    }
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && importModal.classList.contains('active')) {
+        closeImportWizard();
+    }
+});
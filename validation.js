@@ -0,0 +1,167 @@
+// Validation module: finds suspicious rows (typos, impossible values, weight jumps) and suggests fixes
+
+// Constants
+const MACRO_KCAL = { proteins: 4, fats: 9, carbs: 4 }; // Energy per gram (Atwater factors)
+const KCAL_MISMATCH_SHARE = 0.25; // Allowed gap between calories and energy from macros, share of calories
+const KCAL_MISMATCH_MIN = 200; // ...but never less than this many kcal (fiber, alcohol, rounding)
+const WEIGHT_JUMP_KG = 3; // Largest believable change between neighbouring weigh-ins
+const WEIGHT_JUMP_MAX_GAP_DAYS = 7; // Weigh-ins further apart are not compared
+
+// Plausible ranges of a single day's values; anything outside is treated as a typo
+const VALUE_LIMITS = {
+  weight: { min: 25, max: 350, unit: 'кг', label: 'Вес' },
+  calories: { min: 100, max: 10000, unit: 'ккал', label: 'Калории' },
+  proteins: { min: 0, max: 500, unit: 'г', label: 'Белки' },
+  fats: { min: 0, max: 400, unit: 'г', label: 'Жиры' },
+  carbs: { min: 0, max: 1500, unit: 'г', label: 'Углеводы' }
+};
+
+const ISSUE_TYPES = {
+  impossible: { icon: '⛔', label: 'Невозможное значение' },
+  macroMismatch: { icon: '⚖️', label: 'Калории не сходятся с БЖУ' },
+  weightJump: { icon: '📈', label: 'Скачок веса' }
+};
+
+// Energy from macros by the 4/9/4 rule (null if a macro is missing)
+function getMacroCalories(item) {
+  const keys = Object.keys(MACRO_KCAL);
+  if (keys.some(key => item[key] === null || item[key] === undefined)) return null;
+  return keys.reduce((sum, key) => sum + item[key] * MACRO_KCAL[key], 0);
+}
+
+// Whether calories and energy from macros agree within the allowed gap
+function isEnergyConsistent(calories, macroCalories) {
+  return Math.abs(calories - macroCalories) <= Math.max(KCAL_MISMATCH_MIN, calories * KCAL_MISMATCH_SHARE);
+}
+
+function isWithinLimits(field, value) {
+  const limits = VALUE_LIMITS[field];
+  return value >= limits.min && value <= limits.max;
+}
+
+// Candidate corrections for a mistyped number: misplaced decimal point or an extra/missing digit
+function getTypoCandidates(value) {
+  return [value / 10, value * 10, value / 100, value * 100]
+    .map(v => Math.round(v * 10) / 10)
+    .filter(v => v > 0);
+}
+
+// Single-field fix that makes a day's calories and macros agree (null if none is found)
+// Prefers fixing a macro by a typo factor; otherwise recomputes calories from the macros
+function suggestEnergyFix(item) {
+  let best = null;
+
+  ['calories', ...Object.keys(MACRO_KCAL)].forEach(field => {
+    getTypoCandidates(item[field]).forEach(candidate => {
+      if (!isWithinLimits(field, candidate)) return;
+      const fixed = { ...item, [field]: candidate };
+      const macroCalories = getMacroCalories(fixed);
+      const gap = Math.abs(fixed.calories - macroCalories);
+      if (isEnergyConsistent(fixed.calories, macroCalories) && (!best || gap < best.gap)) {
+        best = { field, value: candidate, gap };
+      }
+    });
+  });
+
+  if (best) return { field: best.field, value: best.value };
+
+  const macroCalories = Math.round(getMacroCalories(item));
+  return isWithinLimits('calories', macroCalories) ? { field: 'calories', value: macroCalories } : null;
+}
+
+// Find problems in nutrition and weight data
+// Returns [{ id, type, source: 'kbju' | 'weight', date, field, value, message, fix: { field, value } | null }]
+// Days whose totals come from food_log get no fix: they are edited in the diary, not in kbju_data
+function validateData(kbju = kbjuData, weights = weightData) {
+  const issues = [];
+  const addIssue = (issue) => issues.push({ id: `${issue.source}:${issue.date}:${issue.field}:${issue.value}`, ...issue });
+
+  kbju.forEach(d => {
+    const hasDiary = d.fromDiary;
+    const invalidField = ['calories', ...Object.keys(MACRO_KCAL)]
+      .find(field => d[field] !== null && d[field] !== undefined && !isWithinLimits(field, d[field]));
+
+    if (invalidField) {
+      const limits = VALUE_LIMITS[invalidField];
+      const fix = getTypoCandidates(d[invalidField]).find(v => isWithinLimits(invalidField, v)) || null;
+      addIssue({
+        type: 'impossible',
+        source: 'kbju',
+        date: d.date,
+        field: invalidField,
+        value: d[invalidField],
+        message: `${limits.label}: ${formatNumber(d[invalidField])} ${limits.unit} — вне диапазона ${limits.min}–${formatNumber(limits.max)} ${limits.unit}`,
+        fix: fix !== null && !hasDiary ? { field: invalidField, value: fix } : null
+      });
+      return;
+    }
+
+    const macroCalories = getMacroCalories(d);
+    if (macroCalories === null || isEnergyConsistent(d.calories, macroCalories)) return;
+
+    addIssue({
+      type: 'macroMismatch',
+      source: 'kbju',
+      date: d.date,
+      field: 'calories',
+      value: d.calories,
+      message: `${formatNumber(Math.round(d.calories))} ккал, а по БЖУ (4/9/4) выходит ${formatNumber(Math.round(macroCalories))} ккал`,
+      fix: hasDiary ? null : suggestEnergyFix(d)
+    });
+  });
+
+  // Compare each weigh-in with the last one that was not flagged, so a single typo is reported once;
+  // a jump confirmed by the next weigh-in is a real change and becomes the new reference
+  let reference = null;
+  let lastJump = null;
+  weights.forEach(d => {
+    if (!isWithinLimits('weight', d.weight)) {
+      // Closest in-range candidate to the last trusted weigh-in
+      const fix = getTypoCandidates(d.weight)
+        .filter(v => isWithinLimits('weight', v))
+        .sort((a, b) => reference ? Math.abs(a - reference.weight) - Math.abs(b - reference.weight) : 0)[0] || null;
+      addIssue({
+        type: 'impossible',
+        source: 'weight',
+        date: d.date,
+        field: 'weight',
+        value: d.weight,
+        message: `Вес ${d.weight} кг — вне диапазона ${VALUE_LIMITS.weight.min}–${VALUE_LIMITS.weight.max} кг`,
+        fix: fix !== null ? { field: 'weight', value: fix } : null
+      });
+      return;
+    }
+
+    const confirmsJump = lastJump && Math.abs(d.weight - lastJump.weight) <= WEIGHT_JUMP_KG;
+    if (reference && !confirmsJump && getDaysBetween(reference.date, d.date) <= WEIGHT_JUMP_MAX_GAP_DAYS &&
+        Math.abs(d.weight - reference.weight) > WEIGHT_JUMP_KG) {
+      const diff = d.weight - reference.weight;
+      const fix = getTypoCandidates(d.weight).find(v => Math.abs(v - reference.weight) <= WEIGHT_JUMP_KG) || null;
+      addIssue({
+        type: 'weightJump',
+        source: 'weight',
+        date: d.date,
+        field: 'weight',
+        value: d.weight,
+        message: `${d.weight} кг: ${diff > 0 ? '+' : ''}${diff.toFixed(1)} кг к ${formatDateDDMM(reference.date)} (${reference.weight} кг)`,
+        fix: fix !== null ? { field: 'weight', value: fix } : null
+      });
+      lastJump = d;
+      return;
+    }
+
+    reference = d;
+    lastJump = null;
+  });
+
+  return issues.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// Issues of one source grouped by date: { [date]: [issue, ...] }
+function groupIssuesByDate(issues, source) {
+  const byDate = {};
+  issues.filter(issue => issue.source === source).forEach(issue => {
+    (byDate[issue.date] = byDate[issue.date] || []).push(issue);
+  });
+  return byDate;
+}